@@ -0,0 +1,125 @@
+/**
+ * Scope3 Segments Worker Targeting Adapters
+ *
+ * Optional snippets added to the injected script that push the segments into
+ * the page's ad stack, so publishers don't need their own glue code. Enable
+ * them with the TARGETING_ADAPTERS env var (comma separated) or a site's
+ * `adapters` setting:
+ *
+ * - `prebid`: hooks in before each `pbjs.requestBids` call (as RTD modules do)
+ *   and merges the page-wide segments into that auction's `ortb2` as
+ *   `site.content.data` and each ad unit's slot segments into its
+ *   `ortb2Imp.ext.data` (matched by GPID, then ad unit code); the global config
+ *   is left alone
+ * - `gpt`: once the segments are ready, sets page-level GPT targeting with the
+ *   page-wide segments and per-slot targeting on slots defined by then
+ *   (matched by ad unit path, then element id)
+ *
+ * Both read the segments when they run, so late-bound segments are used once
+ * they have arrived.
+ */
+
+import * as config from './config.js';
+import { log } from './logger.js';
+
+// Snippet builders by adapter name
+const ADAPTERS = {
+  prebid: buildPrebidAdapter,
+  gpt: buildGptAdapter
+};
+
+export const ADAPTER_NAMES = Object.keys(ADAPTERS);
+
+/**
+ * Get the adapters enabled for the site
+ * @param {Object} env - Environment variables and bindings
+ * @returns {Array<string>} - The adapter names, possibly empty
+ */
+export function getTargetingAdapters(env) {
+  if (!env.TARGETING_ADAPTERS) {
+    return [];
+  }
+  return env.TARGETING_ADAPTERS.split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => {
+      if (!ADAPTERS[name]) {
+        log.error(`[ADAPTERS] Ignoring unknown targeting adapter "${name}"`);
+        return false;
+      }
+      return true;
+    });
+}
+
+/**
+ * Build the JavaScript for the enabled adapters
+ * @param {Array<string>} adapters - The adapter names
+ * @param {string} target - The global holding the segments, e.g. `window.scope3`
+ * @returns {string} - JavaScript to append to the injected script
+ */
+export function buildAdapterScripts(adapters, target) {
+  return adapters.map(name => ADAPTERS[name](target, config.TARGETING_KEY)).join('\n  ');
+}
+
+/**
+ * Prebid.js: merge the segments into each auction's first-party data
+ *
+ * A `requestBids` before-hook runs before Prebid snapshots the auction's
+ * `ortb2` into its fragments, so the segments reach the current auction. Our
+ * `site.content.data` entry is replaced rather than appended to, so repeated
+ * auctions with the same `ortb2` object carry it once.
+ * @param {string} target - The global holding the segments
+ * @param {string} key - The name the segments are filed under
+ * @returns {string} - JavaScript
+ */
+function buildPrebidAdapter(target, key) {
+  return `window.pbjs = window.pbjs || {};
+  window.pbjs.que = window.pbjs.que || [];
+  window.pbjs.que.push(function () {
+    window.pbjs.requestBids.before(function (next, request) {
+      request = request || {};
+      var segments = ${target}.segments || {};
+      var toData = function (ids) { return ids.map(function (id) { return { id: id }; }); };
+      if (segments.global && segments.global.length) {
+        var ortb2 = request.ortb2 = request.ortb2 || {};
+        var site = ortb2.site = ortb2.site || {};
+        var content = site.content = site.content || {};
+        content.data = (content.data || []).filter(function (data) { return data.name !== ${JSON.stringify(key)}; });
+        content.data.push({ name: ${JSON.stringify(key)}, segment: toData(segments.global) });
+      }
+      [].concat(request.adUnits || window.pbjs.adUnits || []).forEach(function (adUnit) {
+        var imp = adUnit.ortb2Imp = adUnit.ortb2Imp || {};
+        imp.ext = imp.ext || {};
+        var ids = segments[imp.ext.gpid] || segments[adUnit.code];
+        if (ids && ids.length) {
+          imp.ext.data = imp.ext.data || {};
+          imp.ext.data[${JSON.stringify(key)}] = ids;
+        }
+      });
+      next(request);
+    });
+  });`;
+}
+
+/**
+ * GPT: set page-level and per-slot key-value targeting
+ * @param {string} target - The global holding the segments
+ * @param {string} key - The targeting key
+ * @returns {string} - JavaScript
+ */
+function buildGptAdapter(target, key) {
+  return `window.googletag = window.googletag || { cmd: [] };
+  window.googletag.cmd.push(function () {
+    ${target}.ready.then(function (segments) {
+      var pubads = window.googletag.pubads();
+      if (segments.global && segments.global.length) {
+        pubads.setTargeting(${JSON.stringify(key)}, segments.global);
+      }
+      pubads.getSlots().forEach(function (slot) {
+        var ids = segments[slot.getAdUnitPath()] || segments[slot.getSlotElementId()];
+        if (ids && ids.length) {
+          slot.setTargeting(${JSON.stringify(key)}, ids);
+        }
+      });
+    });
+  });`;
+}
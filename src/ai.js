@@ -0,0 +1,124 @@
+/**
+ * Scope3 Segments Worker AI Page Classification
+ *
+ * Optional enrichment that asks a Claude model to classify a page from the
+ * content extracted from it (title, description and excerpt, see content.js)
+ * into IAB Content Taxonomy 1.0 tier-1 categories and brand-safety flags.
+ *
+ * It only runs in the background (ctx.waitUntil) after a page-level cache miss,
+ * and its result is added to the page-level cache entry as the `ai` source, so
+ * pages never wait for the model and each page is classified once per entry.
+ *
+ * Settings (env vars):
+ * - AI_CLASSIFICATION:  "true" enables it (default: disabled)
+ * - ANTHROPIC_API_KEY:  the API key (secret), required
+ * - ANTHROPIC_BASE_URL: send requests somewhere other than the Anthropic API, e.g. a local stub
+ * - AI_MODEL:           the model (default: config.DEFAULT_AI_MODEL)
+ * - AI_TIMEOUT:         give up after this many ms (default: config.DEFAULT_AI_TIMEOUT)
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+import * as config from './config.js';
+import { IAB_CATEGORIES } from './taxonomy.js';
+import { log, loggableUrl } from './logger.js';
+
+// The tool the model answers with, so the result is structured
+const CLASSIFY_TOOL = {
+  name: 'classify_page',
+  description: 'Record the IAB content categories and brand-safety flags of a web page.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      categories: {
+        type: 'array',
+        description: `Up to ${config.MAX_AI_CATEGORIES} IAB Content Taxonomy 1.0 tier-1 category IDs that best describe the page, most relevant first`,
+        items: { type: 'string', enum: IAB_CATEGORIES.map(category => category.id) }
+      },
+      brand_safety: {
+        type: 'array',
+        description: 'The brand-safety risks present in the page content, empty if it is safe for all advertisers',
+        items: { type: 'string', enum: config.BRAND_SAFETY_FLAGS }
+      }
+    },
+    required: ['categories', 'brand_safety']
+  }
+};
+
+/**
+ * Check whether AI classification is enabled and configured
+ * @param {Object} env - Environment variables and bindings
+ * @returns {boolean} - True if pages should be classified
+ */
+export function isAiClassificationEnabled(env) {
+  if (env.AI_CLASSIFICATION !== 'true') {
+    return false;
+  }
+  if (!env.ANTHROPIC_API_KEY) {
+    log.error(`[AI] AI_CLASSIFICATION is enabled but ANTHROPIC_API_KEY is not set`);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Classify a page with the model
+ * @param {Object} content - The page's content from extractContent
+ * @param {URL} url - The canonical URL of the page, for logging
+ * @param {Object} env - Environment variables and bindings
+ * @returns {Promise<Object|null>} - Structured segments `{ global: ['IAB17', 'brand_safety_adult', ...] }`, or null on failure
+ */
+export async function classifyWithAi(content, url, env) {
+  const page = [
+    content?.title && `Title: ${content.title}`,
+    content?.description && `Description: ${content.description}`,
+    content?.excerpt && `Text: ${content.excerpt}`
+  ].filter(Boolean).join('\n');
+  if (!page) {
+    log.info(`[AI] No content to classify for ${loggableUrl(url)}`);
+    return null;
+  }
+
+  const client = new Anthropic({
+    apiKey: env.ANTHROPIC_API_KEY,
+    baseURL: env.ANTHROPIC_BASE_URL || undefined,
+    timeout: parseInt(env.AI_TIMEOUT || config.DEFAULT_AI_TIMEOUT),
+    maxRetries: 0
+  });
+
+  const startTime = Date.now();
+  let message;
+  try {
+    message = await client.messages.create({
+      model: env.AI_MODEL || config.DEFAULT_AI_MODEL,
+      max_tokens: config.AI_MAX_TOKENS,
+      tools: [CLASSIFY_TOOL],
+      tool_choice: { type: 'tool', name: CLASSIFY_TOOL.name },
+      messages: [{
+        role: 'user',
+        content: `Classify this web page for contextual advertising.\n\n<page>\n${page}\n</page>`
+      }]
+    });
+  } catch (error) {
+    log.error(`[AI] Classification failed for ${loggableUrl(url)}: ${error.message}`);
+    return null;
+  } finally {
+    log.info(`[TIMING] AI classification took ${Date.now() - startTime}ms`);
+  }
+
+  const input = message.content?.find(block => block.type === 'tool_use' && block.name === CLASSIFY_TOOL.name)?.input;
+  if (!input) {
+    log.error(`[AI] Unexpected response for ${loggableUrl(url)}: no ${CLASSIFY_TOOL.name} result`);
+    return null;
+  }
+
+  // Only keep known values, whatever the model came up with
+  const categoryIds = new Set(IAB_CATEGORIES.map(category => category.id));
+  const categories = [...new Set([].concat(input.categories || []))]
+    .filter(id => categoryIds.has(id))
+    .slice(0, config.MAX_AI_CATEGORIES);
+  const flags = [...new Set([].concat(input.brand_safety || []))]
+    .filter(flag => config.BRAND_SAFETY_FLAGS.includes(flag));
+
+  log.info(`[AI] Classified ${loggableUrl(url)} as ${categories.join(', ') || 'no category'} (brand safety: ${flags.join(', ') || 'none'})`);
+  return { global: [...categories, ...flags.map(flag => `${config.BRAND_SAFETY_SEGMENT_PREFIX}${flag}`)] };
+}
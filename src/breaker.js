@@ -0,0 +1,164 @@
+/**
+ * Scope3 Segments Worker Circuit Breaker
+ *
+ * Stops calling a segment endpoint that keeps failing, so uncached pageviews
+ * don't each wait out API_TIMEOUT while it is down. There is one circuit per
+ * provider endpoint, kept in the isolate:
+ *
+ * - closed:    calls go through; outcomes of the last CIRCUIT_BREAKER_WINDOW
+ *              seconds are tracked. A call fails if it errors, times out, gets a
+ *              5xx or an unusable response, or takes longer than API_TIMEOUT.
+ *              Once CIRCUIT_BREAKER_MIN_CALLS calls were made and at least
+ *              CIRCUIT_BREAKER_FAILURE_RATE of them failed, the circuit opens.
+ * - open:      calls are skipped (the provider counts as failed) for
+ *              CIRCUIT_BREAKER_COOLDOWN seconds.
+ * - half-open: one probe call at a time goes through; the others are skipped.
+ *              A successful probe closes the circuit, a failed one reopens it.
+ *              Calls started before the circuit opened don't count as the probe.
+ *
+ * Set CIRCUIT_BREAKER to "false" to always call the providers.
+ */
+
+import * as config from './config.js';
+import { log } from './logger.js';
+
+// Circuits by provider name and endpoint
+const circuits = new Map();
+
+/**
+ * Check whether the circuit breaker is enabled
+ * @param {Object} env - Environment variables and bindings
+ * @returns {boolean} - True unless CIRCUIT_BREAKER is "false"
+ */
+export function isCircuitBreakerEnabled(env) {
+  return env.CIRCUIT_BREAKER !== 'false';
+}
+
+/**
+ * Ask the circuit whether a call may be made, claiming the probe when half-open
+ * @param {string} name - The provider name
+ * @param {string} endpoint - The provider endpoint
+ * @param {Object} env - Environment variables and bindings
+ * @returns {Object|null} - A ticket to pass to recordCall (`probe` set if the call is the probe), or null to skip the call
+ */
+export function allowCall(name, endpoint, env) {
+  const circuit = getCircuit(name, endpoint);
+  const state = getState(circuit, env);
+
+  if (state === 'open') {
+    const retryIn = Math.ceil((circuit.openedAt + getCooldown(env) - Date.now()) / 1000);
+    log.info(`[BREAKER] Circuit for ${name} is open, skipping call to ${endpoint} (probing again in ${retryIn}s)`);
+    return null;
+  }
+
+  if (state === 'half-open') {
+    if (circuit.probe) {
+      log.info(`[BREAKER] Circuit for ${name} is half-open with a probe in flight, skipping call to ${endpoint}`);
+      return null;
+    }
+    log.info(`[BREAKER] Circuit for ${name} is half-open, probing ${endpoint}`);
+    circuit.state = 'half-open';
+    circuit.probe = { probe: true };
+    return circuit.probe;
+  }
+
+  return { probe: false };
+}
+
+/**
+ * Record the outcome of a call that allowCall let through
+ * @param {string} name - The provider name
+ * @param {string} endpoint - The provider endpoint
+ * @param {Object} ticket - The ticket allowCall returned for the call
+ * @param {boolean} success - Whether the call succeeded in time
+ * @param {Object} env - Environment variables and bindings
+ * @returns {void}
+ */
+export function recordCall(name, endpoint, ticket, success, env) {
+  const circuit = getCircuit(name, endpoint);
+  const now = Date.now();
+
+  if (ticket.probe) {
+    if (circuit.probe !== ticket) {
+      // The circuit was evicted and recreated while the probe was in flight
+      return;
+    }
+    circuit.probe = null;
+    if (success) {
+      log.info(`[BREAKER] Probe to ${endpoint} succeeded, closing circuit for ${name}`);
+      circuit.state = 'closed';
+      circuit.calls = [];
+    } else {
+      log.info(`[BREAKER] Probe to ${endpoint} failed, reopening circuit for ${name}`);
+      circuit.state = 'open';
+      circuit.openedAt = now;
+    }
+    return;
+  }
+
+  if (circuit.state !== 'closed') {
+    // A call started before the circuit opened
+    return;
+  }
+
+  const windowStart = now - config.CIRCUIT_BREAKER_WINDOW * 1000;
+  circuit.calls = circuit.calls.filter(call => call.time >= windowStart).slice(-(config.MAX_CIRCUIT_BREAKER_CALLS - 1));
+  circuit.calls.push({ time: now, success });
+
+  const minCalls = parseInt(env.CIRCUIT_BREAKER_MIN_CALLS || config.DEFAULT_CIRCUIT_BREAKER_MIN_CALLS);
+  const failureRate = parseFloat(env.CIRCUIT_BREAKER_FAILURE_RATE || config.DEFAULT_CIRCUIT_BREAKER_FAILURE_RATE);
+  const failures = circuit.calls.filter(call => !call.success).length;
+  if (circuit.calls.length >= minCalls && failures / circuit.calls.length >= failureRate) {
+    log.error(`[BREAKER] Opening circuit for ${name}: ${failures} of the last ${circuit.calls.length} calls to ${endpoint} failed`);
+    circuit.state = 'open';
+    circuit.openedAt = now;
+  }
+}
+
+/**
+ * Get the state of a circuit
+ * @param {string} name - The provider name
+ * @param {string} endpoint - The provider endpoint
+ * @param {Object} env - Environment variables and bindings
+ * @returns {string} - `closed`, `open` or `half-open`
+ */
+export function getCircuitState(name, endpoint, env) {
+  const circuit = circuits.get(`${name} ${endpoint}`);
+  return circuit ? getState(circuit, env) : 'closed';
+}
+
+/**
+ * Get or create the circuit for an endpoint
+ * @param {string} name - The provider name
+ * @param {string} endpoint - The provider endpoint
+ * @returns {Object} - The circuit
+ */
+function getCircuit(name, endpoint) {
+  const key = `${name} ${endpoint}`;
+  let circuit = circuits.get(key);
+  if (!circuit) {
+    if (circuits.size >= config.MAX_CIRCUIT_BREAKERS) {
+      circuits.delete(circuits.keys().next().value);
+    }
+    circuit = { state: 'closed', calls: [], openedAt: 0, probe: null };
+    circuits.set(key, circuit);
+  }
+  return circuit;
+}
+
+/**
+ * Get the current state of a circuit, an open one turning half-open after the cooldown
+ * @param {Object} circuit - The circuit
+ * @param {Object} env - Environment variables and bindings
+ * @returns {string} - `closed`, `open` or `half-open`
+ */
+function getState(circuit, env) {
+  if (circuit.state === 'open' && Date.now() - circuit.openedAt >= getCooldown(env)) {
+    return 'half-open';
+  }
+  return circuit.state;
+}
+
+function getCooldown(env) {
+  return parseFloat(env.CIRCUIT_BREAKER_COOLDOWN || config.DEFAULT_CIRCUIT_BREAKER_COOLDOWN) * 1000;
+}
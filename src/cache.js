@@ -0,0 +1,150 @@
+/**
+ * Scope3 Segments Worker Cache Backends
+ *
+ * Storage for segment cache entries. Every backend stores the same JSON entry
+ * (`{ structuredSegments, timestamp }`) and leaves TTL/staleness decisions to
+ * the caller; a backend only needs to keep an entry for the lifetime it is given.
+ *
+ * Backends, selected with the CACHE_BACKEND env var:
+ * - `cache`:  the Cache API (`caches.default`), local to each colo (default)
+ * - `kv`:     the SEGMENTS_CACHE Workers KV namespace, global
+ * - `tiered`: the Cache API in front of KV, backfilled from KV on a local miss
+ */
+
+import * as config from './config.js';
+import { log } from './logger.js';
+
+// Workers KV rejects expirationTtl values below 60 seconds
+const KV_MIN_TTL = 60;
+
+/**
+ * Create the cache backend selected by CACHE_BACKEND
+ * @param {Object} env - Environment variables and bindings
+ * @returns {Object} - A backend with `name`, `get(key)`, `put(key, entry, ttl)` and `delete(key)`
+ */
+export function createSegmentStore(env) {
+  const backend = (env.CACHE_BACKEND || config.DEFAULT_CACHE_BACKEND).toLowerCase();
+
+  if (backend === 'kv' || backend === 'tiered') {
+    if (!env.SEGMENTS_CACHE) {
+      log.error(`[CACHE] CACHE_BACKEND is "${backend}" but no SEGMENTS_CACHE KV binding is configured, using the Cache API`);
+      return createCacheApiStore();
+    }
+    return backend === 'kv' ?
+      createKvStore(env.SEGMENTS_CACHE) :
+      createTieredStore(createCacheApiStore(), createKvStore(env.SEGMENTS_CACHE));
+  }
+
+  if (backend !== 'cache') {
+    log.error(`[CACHE] Unknown CACHE_BACKEND "${backend}", using the Cache API`);
+  }
+  return createCacheApiStore();
+}
+
+/**
+ * Cache API backend
+ * @returns {Object} - The backend
+ */
+export function createCacheApiStore() {
+  // Use the Scope3 API domain as a consistent hostname
+  const apiUrl = new URL(config.SCOPE3_API_ENDPOINT);
+  const toRequest = key => new Request(new URL(`https://${apiUrl.hostname}/cache/${encodeURIComponent(key)}`));
+
+  return {
+    name: 'cache',
+
+    async get(key) {
+      const cachedResponse = await caches.default.match(toRequest(key));
+      return cachedResponse ? await cachedResponse.json() : null;
+    },
+
+    async put(key, entry, ttl) {
+      const response = new Response(JSON.stringify(entry), {
+        headers: {
+          'Content-Type': 'application/json',
+          'Cache-Control': `max-age=${Math.max(0, Math.floor(ttl))}`
+        }
+      });
+      await caches.default.put(toRequest(key), response);
+    },
+
+    async delete(key) {
+      return await caches.default.delete(toRequest(key));
+    }
+  };
+}
+
+/**
+ * Workers KV backend
+ *
+ * The entry's expiry time is kept in the KV metadata so a tier in front of it
+ * can be backfilled with the remaining lifetime.
+ * @param {Object} namespace - The KV namespace binding
+ * @returns {Object} - The backend
+ */
+export function createKvStore(namespace) {
+  return {
+    name: 'kv',
+
+    async get(key) {
+      return await namespace.get(key, { type: 'json' });
+    },
+
+    async getWithExpiry(key) {
+      if (!namespace.getWithMetadata) {
+        return { entry: await namespace.get(key, { type: 'json' }), expiresAt: null };
+      }
+      const { value, metadata } = await namespace.getWithMetadata(key, { type: 'json' });
+      return { entry: value, expiresAt: metadata?.expiresAt || null };
+    },
+
+    async put(key, entry, ttl) {
+      const expirationTtl = Math.max(KV_MIN_TTL, Math.floor(ttl));
+      await namespace.put(key, JSON.stringify(entry), {
+        expirationTtl,
+        metadata: { expiresAt: Date.now() + expirationTtl * 1000 }
+      });
+    },
+
+    async delete(key) {
+      await namespace.delete(key);
+      return true;
+    }
+  };
+}
+
+/**
+ * Tiered backend: a fast local tier in front of a global one
+ * @param {Object} local - The Cache API backend
+ * @param {Object} remote - The KV backend
+ * @returns {Object} - The backend
+ */
+export function createTieredStore(local, remote) {
+  return {
+    name: 'tiered',
+
+    async get(key) {
+      const localEntry = await local.get(key);
+      if (localEntry) {
+        return localEntry;
+      }
+
+      const { entry, expiresAt } = await remote.getWithExpiry(key);
+      if (entry && expiresAt && expiresAt > Date.now()) {
+        // Backfill the local tier for the rest of the entry's lifetime
+        log.info(`[CACHE] Backfilling local cache from KV for key: ${key}`);
+        await local.put(key, entry, (expiresAt - Date.now()) / 1000);
+      }
+      return entry;
+    },
+
+    async put(key, entry, ttl) {
+      await Promise.all([local.put(key, entry, ttl), remote.put(key, entry, ttl)]);
+    },
+
+    async delete(key) {
+      const [localDeleted, remoteDeleted] = await Promise.all([local.delete(key), remote.delete(key)]);
+      return localDeleted || remoteDeleted;
+    }
+  };
+}
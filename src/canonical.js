@@ -0,0 +1,125 @@
+/**
+ * Scope3 Segments Worker URL Canonicalization
+ *
+ * Canonicalizes page URLs before they are sent as `site.page` and used in cache
+ * keys, so tracking parameters, parameter order, trailing slashes and fragments
+ * don't split one page into many contextual requests and cache entries.
+ *
+ * Settings (env vars):
+ * - CANONICAL_STRIP_PARAMS:   comma separated query parameters to drop, `prefix*` wildcards allowed
+ * - CANONICAL_SORT_PARAMS:    "false" keeps the original parameter order
+ * - CANONICAL_TRAILING_SLASH: "strip" (default), "add" or "keep"
+ * - CANONICAL_LINK:           "false" ignores <link rel="canonical"> seen on earlier pageviews
+ */
+
+import * as config from './config.js';
+import { log, loggableUrl } from './logger.js';
+
+// Canonical links seen in pages served by this isolate, by canonicalized request URL
+const learnedCanonicals = new Map();
+
+/**
+ * Get the canonical URL for a page, preferring a <link rel="canonical"> seen earlier
+ * @param {URL} url - The URL of the page
+ * @param {Object} env - Environment variables and bindings
+ * @returns {URL} - The canonical URL
+ */
+export function getCanonicalUrl(url, env) {
+  const canonical = canonicalizeUrl(url, env);
+
+  if (env.CANONICAL_LINK !== 'false') {
+    const learned = learnedCanonicals.get(canonical.toString());
+    if (learned) {
+      return new URL(learned);
+    }
+  }
+
+  return canonical;
+}
+
+/**
+ * Apply the canonicalization rules to a URL
+ * @param {URL|string} url - The URL to canonicalize
+ * @param {Object} env - Environment variables and bindings
+ * @returns {URL} - A new, canonicalized URL
+ */
+export function canonicalizeUrl(url, env) {
+  const canonical = new URL(url.toString());
+
+  // URL already lowercases the host; also drop a trailing dot and the fragment
+  canonical.hostname = canonical.hostname.replace(/\.$/, '');
+  canonical.hash = '';
+
+  // Strip tracking parameters
+  const stripParams = env.CANONICAL_STRIP_PARAMS ?
+    env.CANONICAL_STRIP_PARAMS.split(',').map(param => param.trim().toLowerCase()).filter(Boolean) :
+    config.DEFAULT_CANONICAL_STRIP_PARAMS;
+  const params = [...canonical.searchParams.entries()]
+    .filter(([name]) => !stripParams.some(pattern => matchesParam(pattern, name.toLowerCase())));
+
+  // Sort the remaining parameters so their order doesn't matter
+  if (env.CANONICAL_SORT_PARAMS !== 'false') {
+    params.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  }
+  canonical.search = new URLSearchParams(params).toString();
+
+  // Normalize the trailing slash (the root path always keeps its slash)
+  const trailingSlash = env.CANONICAL_TRAILING_SLASH || config.DEFAULT_CANONICAL_TRAILING_SLASH;
+  if (canonical.pathname !== '/') {
+    if (trailingSlash === 'strip') {
+      canonical.pathname = canonical.pathname.replace(/\/+$/, '') || '/';
+    } else if (trailingSlash === 'add' && !canonical.pathname.endsWith('/') && !/\.[a-z0-9]+$/i.test(canonical.pathname)) {
+      canonical.pathname += '/';
+    }
+  }
+
+  return canonical;
+}
+
+/**
+ * Remember the <link rel="canonical"> of a page for later pageviews
+ *
+ * Only canonical links on the same host are honored, so a page can't point its
+ * segments at another site.
+ * @param {URL} url - The URL the page was requested with
+ * @param {string} href - The href of the canonical link
+ * @param {Object} env - Environment variables and bindings
+ * @returns {void}
+ */
+export function rememberCanonicalLink(url, href, env) {
+  if (!href || env.CANONICAL_LINK === 'false') {
+    return;
+  }
+
+  const pageUrl = canonicalizeUrl(url, env);
+
+  let linked;
+  try {
+    linked = new URL(href.trim(), pageUrl);
+  } catch (error) {
+    log.info(`[CANONICAL] Ignoring invalid canonical link: ${loggableUrl(href)}`);
+    return;
+  }
+
+  if (!/^https?:$/.test(linked.protocol) || linked.hostname !== pageUrl.hostname) {
+    log.info(`[CANONICAL] Ignoring canonical link to another site: ${loggableUrl(linked)}`);
+    return;
+  }
+
+  const key = pageUrl.toString();
+  const canonical = canonicalizeUrl(linked, env).toString();
+  if (canonical === key || learnedCanonicals.get(key) === canonical) {
+    return;
+  }
+
+  // Keep the map bounded, dropping the oldest entry first
+  if (learnedCanonicals.size >= config.MAX_LEARNED_CANONICALS) {
+    learnedCanonicals.delete(learnedCanonicals.keys().next().value);
+  }
+  learnedCanonicals.set(key, canonical);
+  log.info(`[CANONICAL] Learned canonical URL for ${loggableUrl(key)}: ${loggableUrl(canonical)}`);
+}
+
+function matchesParam(pattern, name) {
+  return pattern.endsWith('*') ? name.startsWith(pattern.slice(0, -1)) : name === pattern;
+}
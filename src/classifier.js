@@ -0,0 +1,87 @@
+/**
+ * Scope3 Segments Worker Fallback Classifier
+ *
+ * When no segment provider answers (a timeout, an error or an unparseable
+ * response), pages would otherwise get no segments at all. Instead, the worker
+ * classifies the page itself into IAB Content Taxonomy 1.0 tier-1 categories by
+ * matching the keywords in taxonomy.js against the URL path and the content
+ * extracted from earlier pageviews (see content.js).
+ *
+ * The result is deterministic, injected with `source: "fallback"` and never
+ * cached, so the next pageview asks the providers again. Set FALLBACK_CLASSIFIER
+ * to "false" to ship empty segments instead.
+ */
+
+import * as config from './config.js';
+import { IAB_CATEGORIES } from './taxonomy.js';
+import { log, loggableUrl } from './logger.js';
+
+// How much a keyword found in each part of the page counts towards its category
+const FIELD_WEIGHTS = {
+  path: 3,
+  title: 3,
+  keywords: 3,
+  section: 3,
+  description: 2,
+  excerpt: 1
+};
+
+/**
+ * Classify a page into IAB categories without calling out
+ * @param {URL} url - The canonical URL of the page
+ * @param {Object} [content] - The page's content from extractContent, if it has been scanned
+ * @returns {Object|null} - Structured segments `{ global: ['IAB17', ...] }`, or null if no category matched
+ */
+export function classifyPage(url, content) {
+  const fields = {
+    path: normalizeText(safeDecode(url.pathname).replace(/[\/_.-]+/g, ' ')),
+    title: normalizeText(content?.title),
+    keywords: normalizeText(content?.keywords?.join(' ')),
+    section: normalizeText(content?.article?.section),
+    description: normalizeText(content?.description),
+    excerpt: normalizeText(content?.excerpt)
+  };
+
+  const scored = IAB_CATEGORIES.map((category, order) => {
+    let score = 0;
+    for (const [field, text] of Object.entries(fields)) {
+      if (text) {
+        const matches = category.keywords.filter(keyword => text.includes(` ${keyword} `)).length;
+        score += matches * FIELD_WEIGHTS[field];
+      }
+    }
+    return { category, score, order };
+  });
+
+  const categories = scored
+    .filter(({ score }) => score >= config.FALLBACK_MIN_SCORE)
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .slice(0, config.MAX_FALLBACK_CATEGORIES)
+    .map(({ category }) => category);
+
+  if (categories.length === 0) {
+    return null;
+  }
+
+  log.info(`[FALLBACK] Classified ${loggableUrl(url)} as ${categories.map(category => `${category.id} (${category.name})`).join(', ')}`);
+  return { global: categories.map(category => category.id) };
+}
+
+/**
+ * Lowercase text and reduce it to space separated words, padded with spaces
+ * so keywords can be matched as whole words
+ * @param {string} text - The text
+ * @returns {string} - The normalized text, or empty string
+ */
+function normalizeText(text) {
+  const words = (text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  return words ? ` ${words} ` : '';
+}
+
+function safeDecode(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (error) {
+    return text;
+  }
+}
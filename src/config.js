@@ -7,12 +7,129 @@
 // API Configuration
 export const SCOPE3_API_ENDPOINT = 'https://rtdp.scope3.com/amazonaps/rtii';
 export const DEFAULT_CACHE_TTL = 60 * 60; // Cache for 1 hour (in seconds)
+export const DEFAULT_CACHE_STALE_TTL = 0; // Serve expired entries while refreshing for this long (in seconds, 0 disables)
+// Request fields (dotted paths into the OpenRTB request) that make up each cache key.
+// Override with comma separated PAGE_CACHE_KEY_FIELDS / USER_CACHE_KEY_FIELDS env vars.
+export const DEFAULT_PAGE_CACHE_KEY_FIELDS = ['site.page', 'site.ext.scope3.etag', 'site.ext.scope3.last_modified', 'imp'];
+export const DEFAULT_USER_CACHE_KEY_FIELDS = ['site.domain', 'user.ext.eids'];
+export const DEFAULT_CACHE_BACKEND = 'cache'; // 'cache' (Cache API), 'kv' (SEGMENTS_CACHE KV) or 'tiered' (both)
 export const DEFAULT_API_TIMEOUT = 1000; // Timeout after 1000ms (1 second)
 
+// Circuit breaker around each segment provider endpoint (see breaker.js)
+export const DEFAULT_CIRCUIT_BREAKER_MIN_CALLS = 10; // Calls in the window before the failure rate counts
+export const DEFAULT_CIRCUIT_BREAKER_FAILURE_RATE = 0.5; // Open when at least half of them failed
+export const DEFAULT_CIRCUIT_BREAKER_COOLDOWN = 30; // Skip calls for 30 seconds before probing (in seconds)
+export const CIRCUIT_BREAKER_WINDOW = 60; // Only calls from the last minute are counted (in seconds)
+export const MAX_CIRCUIT_BREAKER_CALLS = 100; // Calls tracked per circuit
+export const MAX_CIRCUIT_BREAKERS = 100; // Circuits kept per isolate
+
+// Hedged requests and retries for provider calls (see hedging.js)
+export const DEFAULT_API_HEDGE_DELAY = 0.5; // Send the hedge after half of API_TIMEOUT
+export const API_RETRY_WINDOW = 0.5; // Only retry failures within the first half of API_TIMEOUT
+
+// Late-binding segment delivery when the API misses API_TIMEOUT
+export const DEFAULT_LATE_BINDING_TIMEOUT = 5000; // Keep the API call alive in the background for up to 5 seconds
+export const SEGMENTS_ENDPOINT_PATH = '/__scope3/segments';
+export const LATE_BINDING_POLL_INTERVAL = 250; // Loader polls the segments endpoint every 250ms
+export const LATE_BINDING_MAX_POLLS = 20; // ...and gives up after 20 attempts (5 seconds)
+
 // For testing - Set to your API key to test with the real API (remove in production)
 export const TEST_API_KEY = '';
 
+// Proxy mode (enabled with the PROXY_ALLOWED_HOSTS env var, see proxy.js)
+export const PROXY_PATH_PREFIX = '/proxy/';
+export const DEFAULT_PROXY_ALLOWED_SCHEMES = ['https'];
+// Domains that only resolve inside private networks, never proxied
+export const PROXY_INTERNAL_DOMAINS = ['localhost', 'local', 'internal', 'intranet', 'lan', 'home.arpa', 'localdomain'];
+
+// Admin API (enabled when the ADMIN_API_TOKEN secret is set)
+export const ADMIN_PATH_PREFIX = '/__scope3/admin/';
+
+// Injection Rules (override with the INJECTION_RULES env var, see rules.js)
+export const DEFAULT_INJECTION_RULES = {
+  includePaths: ['/**'],
+  excludePaths: [
+    '*.js', '*.css', '*.png', '*.jpg', '*.jpeg', '*.gif', '*.svg', '*.webp', '*.mp4', '*.webm',
+    '*.mp3', '*.wav', '*.pdf', '*.json', '*.xml', '*.woff', '*.woff2', '*.ttf', '*.otf'
+  ],
+  methods: ['GET'],
+  contentTypes: ['text/html', 'application/xhtml+xml'],
+  successOnly: true
+};
+
+// URL Canonicalization
+export const DEFAULT_CANONICAL_STRIP_PARAMS = [
+  'utm_*', 'fbclid', 'gclid', 'gclsrc', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid',
+  'twclid', 'ttclid', 'li_fat_id', 'igshid', 'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi'
+];
+export const DEFAULT_CANONICAL_TRAILING_SLASH = 'strip'; // 'strip', 'add' or 'keep'
+export const MAX_LEARNED_CANONICALS = 1000; // <link rel="canonical"> mappings remembered per isolate
+
+// Ad Slots (configure with the AD_SLOTS env var, see slots.js)
+export const MAX_AD_SLOTS = 20; // Impressions sent per request
+export const MAX_LEARNED_SLOT_PAGES = 1000; // Pages whose discovered slots are remembered per isolate
+export const MAX_PAGE_SCAN_BYTES = 256 * 1024; // Only the start of each page is scanned for slots and content
+export const PAGE_SCAN_TTL = 60 * 60; // A scanned page is only scanned again after an hour, or on a page-level cache miss (in seconds)
+
+// Content Extraction (see content.js)
+export const MAX_CONTENT_EXCERPT_CHARS = 1000; // Main-text excerpt sent as site.ext.scope3.content.excerpt
+export const MAX_CONTENT_KEYWORDS = 20;
+export const MAX_LEARNED_CONTENT_PAGES = 500; // Pages whose extracted content is remembered per isolate
+
+// Fallback Classifier (see classifier.js)
+export const FALLBACK_MIN_SCORE = 3; // e.g. one keyword in the URL path or title, or three in the excerpt
+export const MAX_FALLBACK_CATEGORIES = 3;
+
+// AI Classification (opt-in with AI_CLASSIFICATION, see ai.js)
+export const DEFAULT_AI_MODEL = 'claude-haiku-4-5';
+export const DEFAULT_AI_TIMEOUT = 10000; // Runs in the background, so it can take longer than API_TIMEOUT
+export const AI_MAX_TOKENS = 512;
+export const MAX_AI_CATEGORIES = 3;
+// Brand-safety risks the model can flag, injected as brand_safety_<flag> segments
+export const BRAND_SAFETY_FLAGS = [
+  'adult', 'arms', 'crime', 'death_injury', 'piracy', 'hate_speech', 'obscenity', 'drugs', 'spam', 'terrorism',
+  'sensitive_social_issues'
+];
+export const BRAND_SAFETY_SEGMENT_PREFIX = 'brand_safety_';
+
+// Logging (see logger.js)
+export const DEFAULT_LOG_LEVEL = 'info'; // 'debug', 'info', 'warn', 'error' or 'silent'
+export const DEFAULT_LOG_DEBUG_SAMPLE_RATE = 0.01; // With LOG_LEVEL "debug", 1% of requests write their debug lines
+export const MAX_LOGGED_RESPONSE_CHARS = 500; // Unparseable provider responses are only logged (and shown to debug) up to this length
+
+// Diagnostics (see debug.js)
+export const DEBUG_TOKEN_PARAM = 'scope3_debug'; // Query parameter carrying a debug token
+export const DEBUG_TOKEN_HEADER = 'X-Scope3-Debug'; // Request header carrying a debug token
+export const DEFAULT_DEBUG_TOKEN_TTL = 3600; // Seconds a minted debug token is valid
+export const MAX_DEBUG_TOKEN_TTL = 86400;
+
+// Request Metrics (Analytics Engine dataset bound as METRICS, see metrics.js)
+export const MAX_RECORDED_EVENTS = 100; // Events kept per isolate when there is no METRICS binding
+
+// Consent
+// Countries where GDPR (or UK GDPR / Swiss FADP) applies: EU, EEA, UK and Switzerland
+export const GDPR_COUNTRIES = [
+  'AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE', 'IT',
+  'LV', 'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE',
+  'IS', 'LI', 'NO', 'GB', 'CH'
+];
+// IAB TCF Global Vendor List IDs of the vendors behind each EID source.
+// Sources without a vendor (first-party IDs) only need purpose 1 consent.
+export const EID_SOURCE_VENDOR_IDS = {
+  'sharedid.org': null,
+  'liveramp.com': 97,
+  'uidapi.com': 21,
+  'id5-sync.com': 131
+};
+
+// Site Registry (SITES env var or SITES_KV namespace, see sites.js)
+export const SITE_CONFIG_CACHE_TTL = 60; // Site configs read from KV are reused for 60 seconds per isolate
+export const MAX_SITE_CONFIGS = 1000; // Site configs kept per isolate
+export const MAX_SITE_API_TIMEOUT = 30000; // Upper bound for a site's apiTimeout (ms)
+
 // HTML Content Settings
+export const DEFAULT_INJECTION_VARIABLE = 'scope3'; // The page gets window.scope3.segments
+export const TARGETING_KEY = 'scope3'; // Prebid first-party data name and GPT targeting key used by the adapters
 export const HTML_PLACEHOLDER = '<!-- scope3_segments_placeholder -->';
 export const DEFAULT_SCRIPT_POSITION = '</head>';
 export const HTML_JS_VARIABLE = 'window.scope3_segments';
\ No newline at end of file
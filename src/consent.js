@@ -0,0 +1,395 @@
+/**
+ * Scope3 Segments Worker Consent Handling
+ *
+ * Reads the visitor's privacy signals and applies them to the OpenRTB request:
+ * - IAB TCF v2 consent string from the `euconsent-v2` cookie
+ * - IAB GPP string and applicable section IDs from the `__gpp` and `__gpp_sid`
+ *   cookies; the EU TCF, US Privacy, US national and US state sections are decoded
+ * - IAB US Privacy string from the `usprivacy` cookie
+ * - Global Privacy Control from the `Sec-GPC` request header
+ *
+ * The jurisdiction comes from `request.cf.country`. In GDPR countries an EID is
+ * only forwarded when the TCF string grants purpose 1 (store/access information
+ * on a device) and, for EIDs operated by a TCF vendor, consent for that vendor.
+ * A US Privacy opt-out of sale, a GPP US section opting out of sale, sharing
+ * or targeted advertising, or GPC anywhere, drops all EIDs. The GPP EU TCF and
+ * US Privacy sections stand in for the cookies when those aren't set.
+ */
+
+import * as config from './config.js';
+import { log } from './logger.js';
+
+/**
+ * Collect the privacy signals for a request
+ * @param {Request} request - The original request with headers and CF data
+ * @param {Object} cookies - The request cookies, as returned by parseCookies
+ * @returns {Object} - The consent state
+ */
+export function getConsentState(request, cookies) {
+  const country = request?.cf?.country || '';
+  const tcString = cookies['euconsent-v2'] || null;
+  const usPrivacy = cookies['usprivacy'] || null;
+
+  let tcf = null;
+  if (tcString) {
+    tcf = parseTcString(tcString);
+    if (!tcf) {
+      log.info(`[CONSENT] Could not parse TCF consent string`);
+    }
+  }
+
+  const gpp = cookies['__gpp'] || null;
+  const gppSid = parseGppSid(cookies['__gpp_sid']);
+  let gppSections = null;
+  if (gpp) {
+    gppSections = parseGppString(gpp, gppSid);
+    if (!gppSections) {
+      log.info(`[CONSENT] Could not parse GPP string`);
+    }
+  }
+
+  return {
+    jurisdiction: getJurisdiction(country),
+    tcString,
+    tcf: tcf || gppSections?.tcf || null,
+    gpp,
+    gppSid,
+    gppOptOut: gppSections?.optOut || null,
+    usPrivacy: normalizeUsPrivacy(usPrivacy) || normalizeUsPrivacy(gppSections?.usPrivacy),
+    gpc: request?.headers?.get('Sec-GPC') === '1'
+  };
+}
+
+/**
+ * Populate `regs` and `user.consent` and drop EIDs the visitor has not consented to
+ * @param {Object} openRtbRequest - The OpenRTB request, modified in place
+ * @param {Object} consent - The consent state from getConsentState
+ * @returns {Object} - The same request
+ */
+export function applyConsent(openRtbRequest, consent) {
+  const regs = { ext: {} };
+  const gdprApplies = consent.jurisdiction === 'gdpr';
+
+  if (gdprApplies || consent.tcString) {
+    regs.gdpr = gdprApplies ? 1 : 0;
+    regs.ext.gdpr = regs.gdpr;
+  }
+  if (consent.usPrivacy) {
+    regs.us_privacy = consent.usPrivacy;
+    regs.ext.us_privacy = consent.usPrivacy;
+  }
+  if (consent.gpp) {
+    regs.gpp = consent.gpp;
+    if (consent.gppSid.length > 0) {
+      regs.gpp_sid = consent.gppSid;
+    }
+  }
+  if (consent.gpc) {
+    regs.ext.gpc = 1;
+  }
+  if (Object.keys(regs.ext).length === 0) {
+    delete regs.ext;
+  }
+  if (Object.keys(regs).length > 0) {
+    openRtbRequest.regs = regs;
+  }
+
+  const eids = openRtbRequest.user?.ext?.eids || [];
+  const allowedEids = eids.filter(eid => {
+    const reason = getEidBlockReason(eid.source, consent);
+    if (reason) {
+      log.info(`[CONSENT] Dropping ${eid.source} ID: ${reason}`);
+      return false;
+    }
+    return true;
+  });
+
+  if (allowedEids.length > 0 || consent.tcString) {
+    openRtbRequest.user = openRtbRequest.user || { ext: {} };
+    openRtbRequest.user.ext.eids = allowedEids;
+    if (consent.tcString) {
+      openRtbRequest.user.consent = consent.tcString;
+      openRtbRequest.user.ext.consent = consent.tcString;
+    }
+  } else {
+    delete openRtbRequest.user;
+  }
+
+  return openRtbRequest;
+}
+
+/**
+ * Decide whether an EID source may be forwarded
+ * @param {string} source - The EID source domain
+ * @param {Object} consent - The consent state
+ * @returns {string|null} - Why the EID must be dropped, or null to keep it
+ */
+function getEidBlockReason(source, consent) {
+  if (consent.gpc) {
+    return 'Global Privacy Control is set';
+  }
+  if (consent.usPrivacy && consent.usPrivacy[2] === 'Y') {
+    return 'US Privacy opt-out of sale';
+  }
+  if (consent.gppOptOut) {
+    return `GPP ${consent.gppOptOut}`;
+  }
+  if (consent.jurisdiction !== 'gdpr') {
+    return null;
+  }
+  if (!consent.tcf) {
+    return 'GDPR applies and there is no valid TCF consent string';
+  }
+  if (!consent.tcf.purposeConsents.has(1)) {
+    return 'no TCF consent for purpose 1';
+  }
+  const vendorId = config.EID_SOURCE_VENDOR_IDS[source];
+  if (vendorId && !consent.tcf.vendorConsents.has(vendorId)) {
+    return `no TCF consent for vendor ${vendorId}`;
+  }
+  return null;
+}
+
+/**
+ * Map a country code to the privacy regime that applies
+ * @param {string} country - ISO 3166-1 alpha-2 country code
+ * @returns {string} - 'gdpr', 'us' or 'other'
+ */
+export function getJurisdiction(country) {
+  const code = (country || '').toUpperCase();
+  if (config.GDPR_COUNTRIES.includes(code)) {
+    return 'gdpr';
+  }
+  if (code === 'US') {
+    return 'us';
+  }
+  return 'other';
+}
+
+/**
+ * Parse the core segment of an IAB TCF v2 consent string
+ * @param {string} tcString - The consent string
+ * @returns {Object|null} - `version`, `cmpId`, `purposeConsents` and `vendorConsents`, or null if invalid
+ */
+export function parseTcString(tcString) {
+  try {
+    const bits = new BitReader(decodeBase64Url(tcString.split('.')[0]));
+
+    const version = bits.read(6);
+    if (version !== 2) {
+      return null;
+    }
+
+    // Created, LastUpdated
+    bits.skip(36 + 36);
+    const cmpId = bits.read(12);
+    // CmpVersion, ConsentScreen, ConsentLanguage, VendorListVersion, TcfPolicyVersion,
+    // IsServiceSpecific, UseNonStandardTexts, SpecialFeatureOptIns
+    bits.skip(12 + 6 + 12 + 12 + 6 + 1 + 1 + 12);
+
+    const purposeConsents = new Set();
+    for (let purpose = 1; purpose <= 24; purpose++) {
+      if (bits.read(1)) {
+        purposeConsents.add(purpose);
+      }
+    }
+
+    // PurposesLITransparency, PurposeOneTreatment, PublisherCC
+    bits.skip(24 + 1 + 12);
+
+    const vendorConsents = new Set();
+    const maxVendorId = bits.read(16);
+    if (bits.read(1)) {
+      // Range encoding
+      const numEntries = bits.read(12);
+      for (let i = 0; i < numEntries; i++) {
+        const isRange = bits.read(1);
+        const start = bits.read(16);
+        const end = isRange ? bits.read(16) : start;
+        for (let vendorId = start; vendorId <= end && vendorId <= maxVendorId; vendorId++) {
+          vendorConsents.add(vendorId);
+        }
+      }
+    } else {
+      // Bitfield encoding
+      for (let vendorId = 1; vendorId <= maxVendorId; vendorId++) {
+        if (bits.read(1)) {
+          vendorConsents.add(vendorId);
+        }
+      }
+    }
+
+    return { version, cmpId, purposeConsents, vendorConsents };
+  } catch (error) {
+    return null;
+  }
+}
+
+// GPP US sections decoded, by section ID: the bit offsets of the opt-out fields in
+// the core segment (each 2 bits: 0 not applicable, 1 opted out, 2 did not opt out)
+const GPP_US_SECTIONS = {
+  7: { name: 'usnat', sale: 18, sharing: 20, targetedAdvertising: 22 },
+  8: { name: 'usca', sale: 12, sharing: 14 },
+  9: { name: 'usva', sale: 12, targetedAdvertising: 14 },
+  10: { name: 'usco', sale: 12, targetedAdvertising: 14 },
+  11: { name: 'usut', sale: 14, targetedAdvertising: 16 },
+  12: { name: 'usct', sale: 12, targetedAdvertising: 14 }
+};
+const GPP_TCF_EU_SECTION = 2;
+const GPP_US_PRIVACY_SECTION = 6;
+
+const GPP_OPT_OUTS = { sale: 'opt-out of sale', sharing: 'opt-out of sharing', targetedAdvertising: 'opt-out of targeted advertising' };
+
+/**
+ * Decode the applicable sections of an IAB GPP string
+ * @param {string} gppString - The GPP string: a header, then one `~`-separated string per section
+ * @param {Array<number>} applicableSids - The applicable section IDs; all sections in the string if empty
+ * @returns {Object|null} - The EU `tcf` section parsed as by parseTcString, the `usPrivacy` section, and the
+ *   first US `optOut` found (e.g. `usnat opt-out of sale`), each null if absent; or null if the header is invalid
+ */
+export function parseGppString(gppString, applicableSids = []) {
+  const [header, ...sectionStrings] = gppString.split('~');
+  let sectionIds;
+  try {
+    sectionIds = parseGppHeader(header);
+  } catch (error) {
+    return null;
+  }
+  if (!sectionIds || sectionIds.length !== sectionStrings.length) {
+    return null;
+  }
+
+  const result = { tcf: null, usPrivacy: null, optOut: null };
+  sectionIds.forEach((sectionId, i) => {
+    if (applicableSids.length > 0 && !applicableSids.includes(sectionId)) {
+      return;
+    }
+    if (sectionId === GPP_TCF_EU_SECTION) {
+      result.tcf = parseTcString(sectionStrings[i]);
+    } else if (sectionId === GPP_US_PRIVACY_SECTION) {
+      result.usPrivacy = sectionStrings[i];
+    } else if (GPP_US_SECTIONS[sectionId] && !result.optOut) {
+      result.optOut = getGppOptOut(GPP_US_SECTIONS[sectionId], sectionStrings[i]);
+    }
+  });
+  return result;
+}
+
+/**
+ * Read the section IDs from a GPP header
+ * @param {string} header - The base64url header
+ * @returns {Array<number>|null} - The section IDs in the order of the section strings, or null if not a GPP v1 header
+ */
+function parseGppHeader(header) {
+  const bits = new BitReader(decodeBase64Url(header));
+  // Type 3 (header), version 1
+  if (bits.read(6) !== 3 || bits.read(6) !== 1) {
+    return null;
+  }
+
+  // Fibonacci-coded ranges, each offset from the previous ID
+  const sectionIds = [];
+  let lastId = 0;
+  const numEntries = bits.read(12);
+  for (let i = 0; i < numEntries; i++) {
+    const isRange = bits.read(1);
+    const start = lastId + bits.readFibonacci();
+    const end = isRange ? start + bits.readFibonacci() : start;
+    for (let sectionId = start; sectionId <= end; sectionId++) {
+      sectionIds.push(sectionId);
+    }
+    lastId = end;
+  }
+  return sectionIds;
+}
+
+/**
+ * Find an opt-out in a GPP US section
+ * @param {Object} section - The section's name and opt-out field offsets, from GPP_US_SECTIONS
+ * @param {string} sectionString - The section string; only its core segment is read
+ * @returns {string|null} - e.g. `usnat opt-out of sale`, or null without an opt-out (or if the section is invalid)
+ */
+function getGppOptOut(section, sectionString) {
+  try {
+    const bits = new BitReader(decodeBase64Url(sectionString.split('.')[0]));
+    for (const [field, description] of Object.entries(GPP_OPT_OUTS)) {
+      if (section[field] !== undefined) {
+        bits.position = section[field];
+        if (bits.read(2) === 1) {
+          return `${section.name} ${description}`;
+        }
+      }
+    }
+  } catch (error) {
+    log.info(`[CONSENT] Could not parse GPP ${section.name} section`);
+  }
+  return null;
+}
+
+function normalizeUsPrivacy(usPrivacy) {
+  return /^1[YN-]{3}$/i.test(usPrivacy || '') ? usPrivacy.toUpperCase() : null;
+}
+
+/**
+ * Parse the applicable GPP section IDs
+ * @param {string} value - Comma (or underscore) separated section IDs, e.g. "2,7"
+ * @returns {Array<number>} - The section IDs
+ */
+function parseGppSid(value) {
+  if (!value) {
+    return [];
+  }
+  return value.split(/[,_]/).map(id => parseInt(id, 10)).filter(id => !isNaN(id) && id > 0);
+}
+
+function decodeBase64Url(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Reads big-endian bit fields from a byte array
+ */
+class BitReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.position = 0;
+  }
+
+  read(length) {
+    if (this.position + length > this.bytes.length * 8) {
+      throw new Error('Consent string is too short');
+    }
+    let value = 0;
+    for (let i = 0; i < length; i++) {
+      const byte = this.bytes[(this.position + i) >> 3];
+      const bit = (byte >> (7 - ((this.position + i) & 7))) & 1;
+      value = value * 2 + bit;
+    }
+    this.position += length;
+    return value;
+  }
+
+  skip(length) {
+    this.position += length;
+  }
+
+  // A Fibonacci-coded integer, terminated by two consecutive 1 bits
+  readFibonacci() {
+    let value = 0;
+    let previousBit = 0;
+    let [current, next] = [1, 2];
+    for (;;) {
+      const bit = this.read(1);
+      if (bit && previousBit) {
+        return value;
+      }
+      if (bit) {
+        value += current;
+      }
+      previousBit = bit;
+      [current, next] = [next, current + next];
+    }
+  }
+}
@@ -0,0 +1,282 @@
+/**
+ * Scope3 Segments Worker Content Extraction
+ *
+ * Pulls contextual signals out of a page's HTML so the API can classify pages
+ * it has never crawled: title, meta description, keywords, language, Open Graph
+ * and JSON-LD article metadata, and a plain-text excerpt of the main content.
+ *
+ * Pages are scanned as they stream through the worker; the extracted content
+ * is remembered per isolate and sent with later requests for the page as
+ * `site.content` (title, keywords, language) and `site.ext.scope3.content`
+ * (everything else). With CONTENT_REFRESH set to "true", the page-level entry of
+ * a page seen for the first time is refreshed with its content straight away.
+ * Set CONTENT_EXTRACTION to "false" to disable this.
+ */
+
+import * as config from './config.js';
+import { log, loggableUrl } from './logger.js';
+
+// Content extracted from pages served by this isolate, by canonical page URL, with when it was extracted
+const learnedContent = new Map();
+
+// schema.org types whose JSON-LD describes the page's article, most specific first
+const ARTICLE_TYPES = ['Article', 'NewsArticle', 'BlogPosting', 'Report', 'ScholarlyArticle', 'TechArticle', 'WebPage'];
+
+/**
+ * Extract the contextual signals from a page
+ * @param {string} html - The HTML content (or its start)
+ * @returns {Object} - `title`, `description`, `keywords`, `language`, `og`, `article` and `excerpt`
+ */
+export function extractContent(html) {
+  const metaTags = parseMetaTags(html);
+  const meta = name => {
+    const tag = metaTags.find(attrs => (attrs.name || attrs.property || attrs['http-equiv'] || '').toLowerCase() === name);
+    return tag?.content?.trim() || '';
+  };
+  const metaAll = name => metaTags
+    .filter(attrs => (attrs.property || attrs.name || '').toLowerCase() === name)
+    .map(attrs => (attrs.content || '').trim())
+    .filter(Boolean);
+
+  const jsonLd = extractJsonLdArticle(html);
+
+  const og = compact({
+    type: meta('og:type'),
+    title: meta('og:title'),
+    description: meta('og:description'),
+    site_name: meta('og:site_name'),
+    locale: meta('og:locale')
+  });
+
+  const article = compact({
+    headline: jsonLd.headline,
+    section: meta('article:section') || jsonLd.articleSection,
+    published_time: meta('article:published_time') || jsonLd.datePublished,
+    modified_time: meta('article:modified_time') || jsonLd.dateModified,
+    author: meta('author') || jsonLd.author
+  });
+
+  const keywords = [...new Set([
+    ...splitKeywords(meta('keywords')),
+    ...metaAll('article:tag'),
+    ...splitKeywords(jsonLd.keywords)
+  ].map(keyword => keyword.toLowerCase()))].slice(0, config.MAX_CONTENT_KEYWORDS);
+
+  return compact({
+    title: extractTitle(html) || og.title || jsonLd.headline || '',
+    description: extractDescription(html) || og.description || jsonLd.description || '',
+    keywords,
+    language: normalizeLanguage(
+      (html.match(/<html\b[^>]*?\slang\s*=\s*["']?([a-zA-Z-]+)/i) || [])[1] ||
+      meta('content-language') || jsonLd.inLanguage || og.locale
+    ),
+    og,
+    article,
+    excerpt: extractExcerpt(html, config.MAX_CONTENT_EXCERPT_CHARS)
+  });
+}
+
+/**
+ * Add extracted content to an OpenRTB request
+ * @param {Object} openRtbRequest - The OpenRTB request, modified in place
+ * @param {Object} content - The content from extractContent
+ * @returns {Object} - The same request
+ */
+export function applyPageContent(openRtbRequest, content) {
+  if (!content || !openRtbRequest.site) {
+    return openRtbRequest;
+  }
+
+  const { title, keywords, language, ...details } = content;
+  openRtbRequest.site.content = compact({
+    title,
+    keywords: keywords?.join(','),
+    language
+  });
+  openRtbRequest.site.ext = openRtbRequest.site.ext || {};
+  openRtbRequest.site.ext.scope3 = { ...openRtbRequest.site.ext.scope3, content: details };
+  return openRtbRequest;
+}
+
+/**
+ * Get the content extracted from an earlier pageview of a page
+ * @param {URL} url - The canonical URL of the page
+ * @returns {Object|null} - The content, or null if the page has not been scanned
+ */
+export function getPageContent(url) {
+  return learnedContent.get(url.toString())?.content || null;
+}
+
+/**
+ * Check whether a page's content was extracted within PAGE_SCAN_TTL
+ * @param {URL} url - The canonical URL of the page
+ * @returns {boolean} - True if the page doesn't need to be scanned for content again yet
+ */
+export function hasRecentPageContent(url) {
+  const entry = learnedContent.get(url.toString());
+  return !!entry && Date.now() - entry.extractedAt < config.PAGE_SCAN_TTL * 1000;
+}
+
+/**
+ * Remember the content extracted from a page for later pageviews
+ * @param {URL} url - The canonical URL of the page
+ * @param {Object} content - The content from extractContent
+ * @returns {void}
+ */
+export function rememberPageContent(url, content) {
+  const key = url.toString();
+
+  // Keep the map bounded, dropping the oldest entry first
+  learnedContent.delete(key);
+  if (learnedContent.size >= config.MAX_LEARNED_CONTENT_PAGES) {
+    learnedContent.delete(learnedContent.keys().next().value);
+  }
+  learnedContent.set(key, { content, extractedAt: Date.now() });
+  log.info(`[CONTENT] Extracted content for ${loggableUrl(key)}: "${content.title || ''}" (${content.keywords?.length || 0} keywords, ${content.excerpt?.length || 0} characters of text)`);
+}
+
+/**
+ * Extract title from HTML
+ * @param {string} html - The HTML content
+ * @returns {string} - The extracted title or empty string
+ */
+export function extractTitle(html) {
+  const titleMatch = html.match(/<title[^>]*>([^<]*)<\/title>/i);
+  return titleMatch ? decodeEntities(titleMatch[1]).trim() : '';
+}
+
+/**
+ * Extract description from HTML
+ * @param {string} html - The HTML content
+ * @returns {string} - The extracted description or empty string
+ */
+export function extractDescription(html) {
+  const descMatch = html.match(/<meta[^>]*name=["']description["'][^>]*content=["']([^"']*)["'][^>]*>/i)
+                  || html.match(/<meta[^>]*content=["']([^"']*)["'][^>]*name=["']description["'][^>]*>/i);
+  return descMatch ? decodeEntities(descMatch[1]).trim() : '';
+}
+
+/**
+ * Extract a plain-text excerpt of the page's main content
+ *
+ * Uses the first <article>, else <main>, else <body>, without scripts, styles
+ * and page chrome (navigation, header, footer, asides, forms).
+ * @param {string} html - The HTML content
+ * @param {number} maxLength - Trim the excerpt to this many characters, at a word boundary
+ * @returns {string} - The excerpt or empty string
+ */
+export function extractExcerpt(html, maxLength) {
+  const container = html.match(/<article\b[^>]*>([\s\S]*?)(?:<\/article>|$)/i) ||
+    html.match(/<main\b[^>]*>([\s\S]*?)(?:<\/main>|$)/i) ||
+    html.match(/<body\b[^>]*>([\s\S]*?)(?:<\/body>|$)/i);
+  if (!container) {
+    return '';
+  }
+
+  const text = decodeEntities(container[1]
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(script|style|noscript|template|svg|nav|header|footer|aside|form)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' '))
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (text.length <= maxLength) {
+    return text;
+  }
+  const cut = text.slice(0, maxLength);
+  const lastSpace = cut.lastIndexOf(' ');
+  return (lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).trim();
+}
+
+/**
+ * Find the article described by the page's JSON-LD
+ * @param {string} html - The HTML content
+ * @returns {Object} - The article's headline, description, section, keywords, dates, author and language (strings)
+ */
+function extractJsonLdArticle(html) {
+  const pattern = /<script\b[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi;
+  for (const match of html.matchAll(pattern)) {
+    let data;
+    try {
+      data = JSON.parse(match[1]);
+    } catch (error) {
+      continue;
+    }
+
+    const nodes = [].concat(data).flatMap(node => [node, ...[].concat(node?.['@graph'] || [])]);
+    const article = ARTICLE_TYPES
+      .map(articleType => nodes.find(node => [].concat(node?.['@type'] || []).includes(articleType)))
+      .find(Boolean);
+    if (article) {
+      const authors = [].concat(article.author || []).map(author => (typeof author === 'string' ? author : author?.name)).filter(Boolean);
+      return {
+        headline: asText(article.headline || article.name),
+        description: asText(article.description),
+        articleSection: asText([].concat(article.articleSection || [])[0]),
+        keywords: [].concat(article.keywords || []).map(asText).join(','),
+        datePublished: asText(article.datePublished),
+        dateModified: asText(article.dateModified),
+        author: authors.join(', '),
+        inLanguage: asText(typeof article.inLanguage === 'object' ? article.inLanguage?.name : article.inLanguage)
+      };
+    }
+  }
+  return {};
+}
+
+/**
+ * Parse the attributes of every <meta> tag
+ * @param {string} html - The HTML content
+ * @returns {Array<Object>} - One object per tag, attribute names lowercased, values decoded
+ */
+function parseMetaTags(html) {
+  return [...html.matchAll(/<meta\b([^>]*)>/gi)].map(match => {
+    const attrs = {};
+    for (const attr of match[1].matchAll(/([^\s"'=\/]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g)) {
+      attrs[attr[1].toLowerCase()] = decodeEntities(attr[2] ?? attr[3] ?? attr[4] ?? '');
+    }
+    return attrs;
+  });
+}
+
+/**
+ * Reduce a language tag to the ISO 639-1 code OpenRTB expects
+ * @param {string} language - e.g. "en-US", "en_GB" or "fr"
+ * @returns {string} - e.g. "en", or empty string
+ */
+function normalizeLanguage(language) {
+  const match = (language || '').trim().match(/^([a-zA-Z]{2})(?:[-_]|$)/);
+  return match ? match[1].toLowerCase() : '';
+}
+
+function splitKeywords(value) {
+  return (value || '').split(',').map(keyword => keyword.trim()).filter(Boolean);
+}
+
+function asText(value) {
+  return typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '';
+}
+
+function decodeEntities(text) {
+  const fromCode = (match, code, radix) => {
+    const codePoint = parseInt(code, radix);
+    return codePoint > 0 && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : match;
+  };
+  return text
+    .replace(/&#(\d+);/g, (match, code) => fromCode(match, code, 10))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => fromCode(match, code, 16))
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+// Drop empty strings, arrays and objects
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) =>
+    value !== undefined && value !== null && value !== '' &&
+    !(Array.isArray(value) && value.length === 0) &&
+    !(typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0)));
+}
@@ -0,0 +1,183 @@
+/**
+ * Scope3 Segments Worker Diagnostics
+ *
+ * What the worker did for a page, visible in the browser's devtools:
+ *
+ * - `Server-Timing` on every page with segments: origin fetch, cache read and
+ *   segment API call durations, plus the worker's total (SERVER_TIMING = "false"
+ *   turns it off)
+ * - `X-Scope3-Debug`, only for requests carrying a debug token for the page's
+ *   host in the `scope3_debug` query parameter or an `X-Scope3-Debug` request
+ *   header: the cache keys and status, the API outcome and the segment count
+ * - with the token in the query parameter, a panel on the page showing the
+ *   OpenRTB request, the cache keys and entry ages, the raw API responses and
+ *   the final segments, redacted as in the logs (see logger.js)
+ *
+ * Debug tokens are `<expiry>.<signature>`, signed with HMAC-SHA256 using the
+ * DEBUG_SECRET secret, and minted with the admin API
+ * (`GET /__scope3/admin/debug-token?host=...`). Without DEBUG_SECRET no token
+ * is valid. The query parameter and the request header are removed before the
+ * page is fetched, so tokens never reach the origin.
+ */
+
+import * as config from './config.js';
+import { redact } from './logger.js';
+import HmacSHA256 from 'crypto-js/hmac-sha256.js';
+import Hex from 'crypto-js/enc-hex.js';
+
+// Server-Timing metrics, by the event field holding their duration
+const SERVER_TIMING_METRICS = [
+  { field: 'originLatency', name: 'scope3-origin', description: 'Origin fetch' },
+  { field: 'cacheReadLatency', name: 'scope3-cache', description: 'Segment cache read' },
+  { field: 'apiLatency', name: 'scope3-api', description: 'Segment API call' }
+];
+
+/**
+ * Take the debug token from a request, removing the query parameter from the URL
+ * @param {Request} request - The incoming request
+ * @param {URL} url - The page URL; the `scope3_debug` parameter is deleted from it
+ * @returns {Object|null} - The `token` and whether it came `fromUrl`, or null if the request has none
+ */
+export function takeDebugToken(request, url) {
+  const token = url.searchParams.get(config.DEBUG_TOKEN_PARAM);
+  if (token !== null) {
+    url.searchParams.delete(config.DEBUG_TOKEN_PARAM);
+    return { token, fromUrl: true };
+  }
+  const headerToken = request.headers.get(config.DEBUG_TOKEN_HEADER);
+  return headerToken !== null ? { token: headerToken, fromUrl: false } : null;
+}
+
+/**
+ * Create a debug token for a host
+ * @param {string} host - The hostname the token is valid for
+ * @param {number} ttl - How long the token is valid, in seconds
+ * @param {Object} env - Environment variables and bindings, with DEBUG_SECRET
+ * @returns {Object} - The `token` and when it `expires` (seconds since the epoch)
+ */
+export function createDebugToken(host, ttl, env) {
+  const expires = Math.floor(Date.now() / 1000) + ttl;
+  return { token: `${expires}.${signDebugToken(host, expires, env)}`, expires };
+}
+
+/**
+ * Check a debug token
+ * @param {string} token - The token from takeDebugToken
+ * @param {string} host - The page's hostname
+ * @param {Object} env - Environment variables and bindings, with DEBUG_SECRET
+ * @returns {boolean} - True if the token was signed for the host and has not expired
+ */
+export function verifyDebugToken(token, host, env) {
+  if (!env.DEBUG_SECRET) {
+    return false;
+  }
+  const match = /^(\d+)\.([0-9a-f]{64})$/.exec(token.trim());
+  if (!match || parseInt(match[1]) < Date.now() / 1000) {
+    return false;
+  }
+  return timingSafeEqual(match[2], signDebugToken(host, parseInt(match[1]), env));
+}
+
+/**
+ * Build the Server-Timing header value for a request
+ * @param {Object} event - The request's metrics event (see metrics.js)
+ * @returns {string} - e.g. `scope3-origin;dur=42;desc="Origin fetch", ..., scope3;dur=57`
+ */
+export function buildServerTiming(event) {
+  const metrics = SERVER_TIMING_METRICS
+    .filter(({ field }) => event[field] !== null)
+    .map(({ field, name, description }) => `${name};dur=${event[field]};desc="${description}"`);
+  metrics.push(`scope3;dur=${Date.now() - event.startTime};desc="Scope3 worker total"`);
+  return metrics.join(', ');
+}
+
+/**
+ * Build the X-Scope3-Debug header value for a request
+ * @param {Object} event - The request's metrics event (see metrics.js)
+ * @param {Array<string>} cacheKeys - The page-level and, if any, user-level cache keys
+ * @returns {string} - e.g. `cache=miss; key="example.com:page:0123456789abcdef"; api=ok; segments=3`
+ */
+export function buildDebugHeader(event, cacheKeys) {
+  const [pageKey, userKey] = cacheKeys;
+  return [
+    `cache=${event.cache}`,
+    `key="${pageKey}"`,
+    userKey && `user-cache=${event.userCache}`,
+    userKey && `user-key="${userKey}"`,
+    `api=${event.api}`,
+    event.errorReason && `reason="${event.errorReason}"`,
+    `source=${event.source}`,
+    `segments=${event.segmentCount}`
+  ].filter(Boolean).join('; ');
+}
+
+/**
+ * Build the debug panel shown on the page
+ * @param {Object} event - The request's metrics event (see metrics.js)
+ * @param {Object} lookup - The segment lookup result, with the `apiRequest`, the `page` and `user` level
+ *   results and the final `segments` and `sources` (including the fallback classifier's)
+ * @returns {string} - The panel's HTML, a collapsed `<details>` element fixed to the bottom of the window
+ */
+export function buildDebugPanel(event, lookup) {
+  const levels = Object.entries({ page: lookup.page, user: lookup.user }).filter(([, result]) => result);
+
+  const sections = {
+    'Cache': levels.map(([scope, result]) => ({
+      scope,
+      key: result.cacheKey,
+      status: result.cacheStatus,
+      age: result.cacheAge === null ? null : Math.round(result.cacheAge / 1000)
+    })),
+    'OpenRTB request': lookup.apiRequest,
+    'API responses': Object.fromEntries(levels.map(([scope, result]) => [scope, describeApiCall(result)])),
+    'Segments': { segments: lookup.segments, sources: lookup.sources }
+  };
+
+  const summary = `Scope3 debug: cache=${event.cache}, api=${event.api}${event.errorReason ? ` (${event.errorReason})` : ''}, ` +
+    `${event.segmentCount} segments from ${event.source}`;
+  const body = Object.entries(sections).map(([title, value]) =>
+    `<h4 style="margin:8px 0 2px">${escapeHtml(title)}</h4><pre style="margin:0;white-space:pre-wrap">${escapeHtml(JSON.stringify(redact(value), null, 2))}</pre>`
+  ).join('');
+
+  return `<details id="scope3-debug" style="position:fixed;bottom:0;right:0;z-index:2147483647;box-sizing:border-box;` +
+    `max-width:100%;width:640px;max-height:80vh;overflow:auto;padding:4px 8px;background:#fff;color:#111;border:1px solid #888;` +
+    `font:12px/1.4 monospace;text-align:left"><summary style="cursor:pointer">${escapeHtml(summary)}</summary>${body}</details>`;
+}
+
+/**
+ * Compare two strings without leaking where they differ through timing
+ * @param {string} a - The first string
+ * @param {string} b - The second string
+ * @returns {boolean} - True if the strings are equal
+ */
+export function timingSafeEqual(a, b) {
+  const length = Math.max(a.length, b.length);
+  let mismatch = a.length ^ b.length;
+  for (let i = 0; i < length; i++) {
+    mismatch |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
+  }
+  return mismatch === 0;
+}
+
+/**
+ * Describe what the providers answered for one lookup level
+ * @param {Object} result - A page or user level lookup result
+ * @returns {Object|string} - The responses by provider name with the errors, or why there are none
+ */
+function describeApiCall(result) {
+  if (!result.apiCall) {
+    return `not called (cache ${result.cacheStatus})`;
+  }
+  if (result.apiCall.late) {
+    return `missed the deadline after ${result.apiCall.latency}ms, segments are delivered late`;
+  }
+  return { latency: result.apiCall.latency, errors: result.apiCall.errors, responses: result.apiCall.responses };
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function signDebugToken(host, expires, env) {
+  return HmacSHA256(`${host.toLowerCase()}.${expires}`, env.DEBUG_SECRET).toString(Hex);
+}
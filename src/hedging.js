@@ -0,0 +1,145 @@
+/**
+ * Scope3 Segments Worker Hedged Requests
+ *
+ * Tail-latency control for provider calls, within the call's deadline:
+ *
+ * - hedging (API_HEDGING = "true"): if the first request has not answered after
+ *   API_HEDGE_DELAY of API_TIMEOUT (a fraction, default 0.5), a second identical
+ *   request is sent and whichever answers first is used; the other is cancelled.
+ * - retry (API_RETRY = "true"): a request that fails fast, with a 5xx or a
+ *   connection error within the first half of API_TIMEOUT, is retried once.
+ *
+ * Every attempt is aborted with the provider call's shared deadline. How often
+ * hedges and retries are sent and win is counted per provider in the isolate
+ * and logged with a `[HEDGE]` line.
+ */
+
+import * as config from './config.js';
+import { log } from './logger.js';
+
+// Counters by provider name
+const stats = new Map();
+
+/**
+ * Fetch a provider endpoint with hedging and retry as configured
+ * @param {string} name - The provider name, for stats and logging
+ * @param {string} url - The URL to fetch
+ * @param {Object} init - Fetch options; `signal` is the shared deadline
+ * @param {Object} env - Environment variables and bindings
+ * @returns {Promise<Response>} - The first successful response, else the last failed one (or the last error is thrown)
+ */
+export function fetchWithHedging(name, url, init, env) {
+  const hedging = env.API_HEDGING === 'true';
+  const retry = env.API_RETRY === 'true';
+  if (!hedging && !retry) {
+    return fetch(url, init);
+  }
+
+  const apiTimeout = parseInt(env.API_TIMEOUT || config.DEFAULT_API_TIMEOUT);
+  const hedgeDelay = apiTimeout * parseFloat(env.API_HEDGE_DELAY || config.DEFAULT_API_HEDGE_DELAY);
+  const counters = getStats(name);
+  const startTime = Date.now();
+  counters.requests++;
+
+  return new Promise((resolve, reject) => {
+    const attempts = [];
+    let inFlight = 0;
+    let retried = false;
+    let settled = false;
+    let hedgeTimer = null;
+
+    const settle = (winner, outcome) => {
+      settled = true;
+      clearTimeout(hedgeTimer);
+      for (const attempt of attempts) {
+        if (attempt !== winner) {
+          attempt.controller.abort();
+        }
+      }
+      outcome();
+    };
+
+    const succeeded = (attempt, response) => {
+      if (settled) {
+        return;
+      }
+      if (attempt.kind === 'hedge') {
+        counters.hedgeWins++;
+        log.info(`[HEDGE] ${name} hedge won after ${Date.now() - startTime}ms (${counters.hedgeWins} of ${counters.hedges} hedges won)`);
+      } else if (attempt.kind === 'retry') {
+        counters.retryWins++;
+        log.info(`[HEDGE] ${name} retry succeeded after ${Date.now() - startTime}ms (${counters.retryWins} of ${counters.retries} retries succeeded)`);
+      } else if (attempts.some(other => other.kind === 'hedge')) {
+        log.info(`[HEDGE] ${name} first request won over the hedge after ${Date.now() - startTime}ms (${counters.hedgeWins} of ${counters.hedges} hedges won)`);
+      }
+      settle(attempt, () => resolve(response));
+    };
+
+    const failed = (attempt, { response, error }) => {
+      inFlight--;
+      if (settled) {
+        return;
+      }
+
+      const elapsed = Date.now() - startTime;
+      if (retry && !retried && elapsed < apiTimeout * config.API_RETRY_WINDOW && !init.signal?.aborted) {
+        retried = true;
+        counters.retries++;
+        log.info(`[HEDGE] ${name} ${attempt.kind} request failed after ${elapsed}ms (${response ? response.status : error}), retrying`);
+        launch('retry');
+        return;
+      }
+
+      if (inFlight === 0) {
+        settle(null, () => (response ? resolve(response) : reject(error)));
+      }
+    };
+
+    const launch = (kind) => {
+      const controller = new AbortController();
+      if (init.signal?.aborted) {
+        controller.abort();
+      } else {
+        init.signal?.addEventListener('abort', () => controller.abort(), { once: true });
+      }
+
+      const attempt = { kind, controller };
+      attempts.push(attempt);
+      inFlight++;
+      fetch(url, { ...init, signal: controller.signal }).then(
+        response => (response.status >= 500 ? failed(attempt, { response }) : succeeded(attempt, response)),
+        error => failed(attempt, { error })
+      );
+    };
+
+    launch('first');
+
+    // Hedge only while the first request is the only one in flight
+    if (hedging) {
+      hedgeTimer = setTimeout(() => {
+        if (!settled && attempts.length === 1 && inFlight === 1) {
+          counters.hedges++;
+          log.info(`[HEDGE] ${name} has not answered after ${Math.round(hedgeDelay)}ms, sending a hedged request`);
+          launch('hedge');
+        }
+      }, hedgeDelay);
+    }
+  });
+}
+
+/**
+ * Get the hedging counters of each provider in this isolate
+ * @returns {Object} - `{ requests, hedges, hedgeWins, retries, retryWins }` by provider name
+ */
+export function getHedgingStats() {
+  return Object.fromEntries([...stats].map(([name, counters]) => [name, { ...counters }]));
+}
+
+function getStats(name) {
+  let counters = stats.get(name);
+  if (!counters) {
+    counters = { requests: 0, hedges: 0, hedgeWins: 0, retries: 0, retryWins: 0 };
+    stats.set(name, counters);
+  }
+  return counters;
+}
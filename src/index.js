@@ -7,6 +7,24 @@
 
 // Import configuration and simplified caching modules (ES module format)
 import * as config from './config.js';
+import { createRewriter } from './rewriter.js';
+import { createSegmentStore } from './cache.js';
+import { getCanonicalUrl, rememberCanonicalLink } from './canonical.js';
+import { getInjectionRules, evaluateRequestRules, evaluateResponseRules } from './rules.js';
+import { finalizeHeaders, createNonce } from './response.js';
+import { getConsentState, applyConsent } from './consent.js';
+import { getSiteEnv } from './sites.js';
+import { extractContent, applyPageContent, getPageContent, hasRecentPageContent, rememberPageContent } from './content.js';
+import { classifyPage } from './classifier.js';
+import { isAiClassificationEnabled, classifyWithAi } from './ai.js';
+import { getTargetingAdapters, buildAdapterScripts } from './adapters.js';
+import { callSegmentProviders, getApiEndpoint, getCircuitStates, mergeSegments, mergeSources } from './providers.js';
+import { getHedgingStats } from './hedging.js';
+import { isProxyRequest, parseProxyRequest, buildProxyOriginRequest, fetchThroughProxy, addProxyRewriting } from './proxy.js';
+import { getAdSlots, getConfiguredSlots, hasRecentPageSlots, buildImpressions, discoverSlots, rememberPageSlots } from './slots.js';
+import { createRequestEvent, recordLookup, countSegments, recordRequestEvent } from './metrics.js';
+import { log, runWithLogger, configureLogger, loggableUrl, hashIdentifier } from './logger.js';
+import { takeDebugToken, verifyDebugToken, createDebugToken, buildServerTiming, buildDebugHeader, buildDebugPanel, timingSafeEqual } from './debug.js';
 import * as UAParserLib from 'ua-parser-js';
 import SHA256 from 'crypto-js/sha256.js';
 import Hex from 'crypto-js/enc-hex.js';
@@ -14,7 +32,15 @@ import Hex from 'crypto-js/enc-hex.js';
 // Define the main worker object (ES Module format)
 export default {
   async fetch(request, env, ctx) {
-    return await handleRequest(request, env, ctx);
+    return runWithLogger(env, async () => {
+      // One metrics event per pageview, see metrics.js
+      const event = createRequestEvent();
+      try {
+        return await handleRequest(request, env, ctx, event);
+      } finally {
+        recordRequestEvent(event, env);
+      }
+    });
   }
 };
 
@@ -23,78 +49,252 @@ export default {
  * @param {Request} request - The incoming request
  * @param {Object} env - Environment variables and bindings
  * @param {Object} ctx - Execution context
+ * @param {Object} event - The request's metrics event, filled in along the way
  * @returns {Promise<Response>} - The response
  */
-async function handleRequest(request, env, ctx) {
+async function handleRequest(request, env, ctx, event) {
   var url = new URL(request.url);
-  var baseUrl
-  if (url.pathname.startsWith('/proxy/')) {
-    url = new URL(url.pathname.substring(7))
-    baseUrl = url.origin
+
+  // Late-binding segments endpoint polled by the injected loader
+  if (url.pathname === config.SEGMENTS_ENDPOINT_PATH) {
+    return handleSegmentsEndpoint(url, await getSiteEnv(url.hostname, env));
+  }
+
+  // Admin API for inspecting and purging the segment cache
+  if (url.pathname.startsWith(config.ADMIN_PATH_PREFIX)) {
+    return handleAdminRequest(request, url, env);
   }
-  console.log(`url: ${url}`)
-  
-  // Clone the request to pass to the origin
-  const originRequest = new Request(url.toString(), request)
 
-  const path = url.pathname.toLowerCase();
-  const isResource = /\.(js|css|png|jpe?g|gif|svg|webp|mp4|webm|mp3|wav|pdf|json|xml|woff2?|ttf|otf)$/i.test(path);
+  // Proxy mode: only for allowed, public targets (see proxy.js)
+  let proxy = null;
+  if (isProxyRequest(url)) {
+    const { target, status, error } = parseProxyRequest(url, env);
+    if (!target) {
+      log.info(`[PROXY] Rejected ${url.pathname}: ${error}`);
+      return new Response(`Proxy request rejected: ${error}`, {
+        status,
+        headers: { 'Content-Type': 'text/plain' }
+      });
+    }
+    proxy = { origin: url.origin, target };
+    url = target;
+  }
+
+  // Debug tokens never reach the origin (see debug.js)
+  const debugToken = takeDebugToken(request, url);
+  const debug = debugToken && verifyDebugToken(debugToken.token, url.hostname, env) ? debugToken : null;
+  if (debugToken && !debug) {
+    log.info(`[DEBUG] Ignoring invalid or expired debug token for ${url.hostname}`);
+  }
+  event.host = url.hostname;
   
+  // Clone the request to pass to the origin, without the debug token header
+  const originRequest = proxy ? buildProxyOriginRequest(url, request) : new Request(url.toString(), request)
+  originRequest.headers.delete(config.DEBUG_TOKEN_HEADER);
+  const fetchOrigin = () => (proxy ? fetchThroughProxy(originRequest, proxy, env) : fetch(originRequest));
+
+  // Apply the publisher's site config, if the registry has one for this host
+  env = await getSiteEnv(url.hostname, env);
+  configureLogger(env);
+  log.info(`url: ${loggableUrl(url)}`)
+  if (env.INJECTION_ENABLED === 'false') {
+    log.info(`[SITES] Injection is disabled for ${url.hostname}`);
+    event.outcome = 'disabled';
+    return fetchOrigin();
+  }
+
   // Determine if this is an initial HTML document request
   // Only modify initial document requests, not subsequent resources
-  if (isResource) {
-    console.log(`[SCOPE3] Path ${url.pathname} is a resource`)
-    return fetch(originRequest);
+  const rules = getInjectionRules(env);
+  const requestDecision = evaluateRequestRules(request, url, rules);
+  event.bot = getBotDecision(request);
+  event.botScore = request.cf?.bot_management?.score || 0;
+  if (!requestDecision.inject) {
+    log.info(`[RULES] Skipping ${request.method} ${url.pathname}: ${requestDecision.reason}`);
+    event.outcome = 'skipped';
+    return fetchOrigin();
   }
 
-  if (request.cf?.bot_management?.verified_bot || request.cf?.bot_management?.score > 75) {
-    console.log(`[SCOPE3] Request is from a bot`)
-    return fetch(originRequest);
+  if (event.bot === 'verified_bot' || event.bot === 'bot') {
+    log.info(`[SCOPE3] Request is from a bot`)
+    event.outcome = 'bot';
+    return fetchOrigin();
   }
 
-  // Start the timer for origin page fetch
-  const originFetchStartTime = Date.now();
+  // The canonical page URL is what the API sees and what cache keys are built from
+  const pageUrl = getCanonicalUrl(url, env);
+
+  // One impression per ad slot, from AD_SLOTS or discovered on earlier pageviews,
+  // only the identity sources enabled for the site, and the page's content if
+  // an earlier pageview has been scanned
+  const extractPageContent = env.CONTENT_EXTRACTION !== 'false';
+  const requestOptions = {
+    slots: getAdSlots(pageUrl, env),
+    identitySources: getIdentitySources(env),
+    content: extractPageContent ? getPageContent(pageUrl) : null
+  };
+
   try {
-    var response = await fetch(originRequest);
-    const originFetchTime = Date.now() - originFetchStartTime;
-    console.log(`[TIMING] Origin page fetch took ${originFetchTime}ms`);
-    
-    const etag = response.headers.get('ETag');
-    const lastModified = response.headers.get('Last-Modified');
-    
-    // Build the API request object that we'll send to Scope3
-    const apiRequest = buildOpenRtbRequest(url, etag, lastModified, request);
-    
-    // Use the API request as the cache key (stringified and hashed)
-    const cacheKey = getCacheKey(apiRequest);
-    
-    // Get segments from cache
-    let segments = await getCachedSegments(cacheKey, env);
-    
-    if (!segments) {
-      console.log(`[CACHE] Cache miss, fetching from API`);
-      segments = await callSegmentApi(apiRequest, env);
-      // Only cache if we got valid segments (not null and has at least one non-empty segment)
-      if (segments && Object.keys(segments).length > 0 && 
-          (segments.global.length > 0 || Object.keys(segments).some(key => key !== 'global'))) {
-        // Use context.waitUntil to not block the response
-        ctx.waitUntil(cacheSegments(cacheKey, segments, env));
+    let response;
+    let lookup;
+
+    if (env.PARALLEL_SEGMENT_LOOKUP === 'true') {
+      let originFetchTime;
+      ({ response, lookup, originFetchTime } = await fetchOriginWithParallelLookup(fetchOrigin, pageUrl, request, requestOptions, env, ctx));
+      event.originLatency = originFetchTime;
+
+      const responseDecision = evaluateResponseRules(response, rules);
+      if (!responseDecision.inject) {
+        log.info(`[RULES] Skipping ${url.pathname}: ${responseDecision.reason}`);
+        event.outcome = 'skipped';
+        return response;
       }
+    } else {
+      // Start the timer for origin page fetch
+      const originFetchStartTime = Date.now();
+      response = await fetchOrigin();
+      const originFetchTime = Date.now() - originFetchStartTime;
+      log.info(`[TIMING] Origin page fetch took ${originFetchTime}ms`);
+      event.originLatency = originFetchTime;
+      
+      // Don't look up segments for responses that won't get them
+      const responseDecision = evaluateResponseRules(response, rules);
+      if (!responseDecision.inject) {
+        log.info(`[RULES] Skipping ${url.pathname}: ${responseDecision.reason}`);
+        event.outcome = 'skipped';
+        return response;
+      }
+      
+      const etag = response.headers.get('ETag');
+      const lastModified = response.headers.get('Last-Modified');
+      
+      // Build the API request object that we'll send to Scope3
+      const apiRequest = buildOpenRtbRequest(pageUrl, etag, lastModified, request, requestOptions);
+      
+      lookup = await lookupSegments(apiRequest, env, ctx);
     }
 
-  var html = await response.text();
-  const modifiedText = insertScope3Segments(html, baseUrl, segments);
-  
-  // Create a new response that preserves all headers and status
-  const headers = new Headers(response.headers);
-    
-  return new Response(modifiedText, {
-    status: response.status,
-    statusText: response.statusText,
-    headers: headers
-  });
+    log.info(`[RULES] Injecting segments into ${url.pathname}`);
+    recordLookup(event, lookup);
+
+    // If the API missed the deadline, the injected loader picks the segments up later.
+    // Only the levels still pending are polled for: a level that answered in time is
+    // already on the page, and may never be cached (empty or partial results).
+    const pendingCacheKeys = [lookup.page, lookup.user].filter(result => result?.pending).map(result => result.cacheKey);
+    const pendingSegmentsUrl = pendingCacheKeys.length > 0 ?
+      `${new URL(request.url).origin}${config.SEGMENTS_ENDPOINT_PATH}?${pendingCacheKeys.map(key => `key=${encodeURIComponent(key)}`).join('&')}` :
+      null;
+
+    // If no provider answered, classify the page locally (never cached). Not while
+    // segments are still pending: the loader merges the real ones in later, and the
+    // page would keep the fallback categories and label alongside them.
+    let segmentSource = null;
+    if (!lookup.segments && pendingCacheKeys.length === 0 && env.FALLBACK_CLASSIFIER !== 'false') {
+      const fallbackSegments = classifyPage(pageUrl, extractPageContent ? getPageContent(pageUrl) : null);
+      if (fallbackSegments) {
+        lookup.segments = fallbackSegments;
+        lookup.sources = { ...lookup.sources, fallback: fallbackSegments };
+        segmentSource = 'fallback';
+      }
+    }
+    event.source = segmentSource || (lookup.segments ? 'providers' : 'none');
+    event.segmentCount = countSegments(lookup.segments);
+
+    // Scan a copy of the page for ad slots and content to use on later pageviews.
+    // A page this isolate has scanned within PAGE_SCAN_TTL is only scanned again
+    // on a page-level cache miss, when its content may have changed.
+    // With CONTENT_REFRESH, a page seen for the first time is also refreshed with
+    // its content right away, so the API can classify it without having crawled it.
+    // With AI_CLASSIFICATION, a new page-level entry gets the model's categories.
+    const pageCacheMiss = lookup.page.cacheStatus === 'miss';
+    const discoverPageSlots = env.AD_SLOT_DISCOVERY !== 'false' && !getConfiguredSlots(pageUrl, env) &&
+      (pageCacheMiss || !hasRecentPageSlots(pageUrl));
+    const scanPageContent = extractPageContent && (pageCacheMiss || !hasRecentPageContent(pageUrl));
+    if ((discoverPageSlots || scanPageContent) && response.body) {
+      const refresh = scanPageContent && env.CONTENT_REFRESH === 'true' &&
+        !requestOptions.content && !lookup.fromCache && !lookup.pending ?
+        { apiRequest: lookup.pageRequest, cacheKey: lookup.pageCacheKey } :
+        null;
+      const enrich = scanPageContent && lookup.page.stored && isAiClassificationEnabled(env) ?
+        { apiRequest: lookup.pageRequest, cacheKey: lookup.pageCacheKey, result: lookup.page } :
+        null;
+      const [pageBody, scanBody] = response.body.tee();
+      ctx.waitUntil(scanPage(scanBody, pageUrl, env, { discoverPageSlots, extractPageContent: scanPageContent, refresh, enrich }));
+      response = new Response(pageBody, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers
+      });
+    }
+
+    // Stream the page through the rewriter so bytes reach the browser as they arrive
+    const nonce = createNonce();
+    const rewriter = createRewriter();
+    insertScope3Segments(rewriter, lookup.segments, {
+      sources: lookup.sources,
+      source: segmentSource,
+      pendingSegmentsUrl,
+      nonce,
+      variableName: env.INJECTION_VARIABLE || config.DEFAULT_INJECTION_VARIABLE,
+      adapters: getTargetingAdapters(env)
+    });
+
+    // Keep links, forms and redirects inside the proxy
+    if (proxy) {
+      addProxyRewriting(rewriter, proxy, env);
+    }
+
+    // With a debug token in the URL, show what the lookup did on the page itself
+    if (debug?.fromUrl) {
+      const panel = buildDebugPanel(event, lookup);
+      let shown = false;
+      rewriter.on('body', {
+        element(element) {
+          if (!shown) {
+            element.prepend(panel, { html: true });
+            shown = true;
+          }
+        }
+      });
+    }
+
+    // Honor the page's canonical link on later pageviews
+    rewriter.on('link[rel~="canonical"]', {
+      element(element) {
+        rememberCanonicalLink(url, element.getAttribute('href'), env);
+      }
+    });
+
+    const rewritten = rewriter.transform(response);
+
+    // Preserve the origin's headers and status, fixed up for the rewritten body
+    const headers = finalizeHeaders(response.headers, { nonce, varyOnCookie: lookup.userLevel });
+
+    // Show the state of each provider's circuit breaker, e.g. "scope3=open"
+    const circuitStates = Object.entries(getCircuitStates(env));
+    if (circuitStates.length > 0) {
+      headers.set('X-Scope3-Circuit', circuitStates.map(([name, state]) => `${name}=${state}`).join(', '));
+    }
+
+    // Durations for the browser's devtools, and with a debug token what the lookup did
+    if (env.SERVER_TIMING !== 'false') {
+      headers.append('Server-Timing', buildServerTiming(event));
+    }
+    if (debug) {
+      headers.set('X-Scope3-Debug', buildDebugHeader(event, lookup.cacheKeys));
+      headers.set('Cache-Control', 'private, no-store');
+    }
+
+    event.outcome = 'injected';
+    return new Response(rewritten.body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: headers
+    });
   } catch (error) {
-    console.error(`[FETCH] Error in request processing: ${error}`);
+    log.error(`[FETCH] Error in request processing: ${error}`);
+    event.outcome = 'error';
+    event.errorReason = event.errorReason || 'exception';
     return new Response(`Error processing request: ${error.message}`, {
       status: 500,
       headers: { 'Content-Type': 'text/plain' }
@@ -103,103 +303,482 @@ async function handleRequest(request, env, ctx) {
 }
 
 /**
- * Call the Scope3 API with an OpenRTB request to get segments
+ * Fetch the origin page and look up segments concurrently
+ *
+ * The segment lookup is started straight away from the URL, headers and cookies,
+ * so the origin's ETag/Last-Modified are not part of the request. When
+ * PARALLEL_ETAG_REFRESH is enabled and the lookup went to the API, the entry is
+ * refreshed in the background with the origin's validators once they are known.
+ * @param {Function} fetchOrigin - Fetches the page from the origin
+ * @param {URL} url - The canonical URL of the page
+ * @param {Request} request - The original request with headers and CF data
+ * @param {Object} requestOptions - The `slots` and `identitySources` for buildOpenRtbRequest
+ * @param {Object} env - Environment variables and bindings
+ * @param {Object} ctx - Execution context
+ * @returns {Promise<Object>} - The origin `response`, the segment `lookup` result and how long the origin took (`originFetchTime`, ms)
+ */
+async function fetchOriginWithParallelLookup(fetchOrigin, url, request, requestOptions, env, ctx) {
+  const startTime = Date.now();
+  let originFetchTime = 0;
+  let lookupTime = 0;
+
+  const apiRequest = buildOpenRtbRequest(url, null, null, request, requestOptions);
+
+  const [response, lookup] = await Promise.all([
+    fetchOrigin().then(originResponse => {
+      originFetchTime = Date.now() - startTime;
+      log.info(`[TIMING] Origin page fetch took ${originFetchTime}ms`);
+      return originResponse;
+    }),
+    lookupSegments(apiRequest, env, ctx).then(result => {
+      lookupTime = Date.now() - startTime;
+      log.info(`[TIMING] Segment lookup took ${lookupTime}ms`);
+      return result;
+    })
+  ]);
+
+  const totalTime = Date.now() - startTime;
+  const savedTime = originFetchTime + lookupTime - totalTime;
+  log.info(`[TIMING] Parallel origin fetch and segment lookup took ${totalTime}ms (saved ${savedTime}ms over sequential)`);
+
+  if (!lookup.fromCache && !lookup.pending && env.PARALLEL_ETAG_REFRESH === 'true') {
+    const etag = response.headers.get('ETag');
+    const lastModified = response.headers.get('Last-Modified');
+    if (etag || lastModified) {
+      // Only the page-level (contextual) segments depend on the content version
+      const enrichedRequest = buildContextualRequest(buildOpenRtbRequest(url, etag, lastModified, request, requestOptions));
+      ctx.waitUntil(refreshSegments(enrichedRequest, lookup.pageCacheKey, env));
+    }
+  }
+
+  return { response, lookup, originFetchTime };
+}
+
+// Marker resolved by the API deadline timer in lookupSegments
+const API_DEADLINE_MISSED = Symbol('API_DEADLINE_MISSED');
+
+/**
+ * Look up segments for an API request, from the cache or the Scope3 API
+ *
+ * Segments are looked up at two levels and merged: contextual segments for the
+ * page (cached per canonical page URL and content version) and, when the
+ * request carries user IDs, audience segments for the user (cached per ID).
  * @param {Object} apiRequest - The OpenRTB request object
  * @param {Object} env - Environment variables and bindings
- * @returns {Promise<Object>} - The structured segments from the API
+ * @param {Object} ctx - Execution context
+ * @returns {Promise<Object>} - The merged `segments` (or null) and their `sources`, the `apiRequest`, the `cacheKeys` involved, the page-level `pageRequest`, `pageCacheKey` and lookup result (`page`), the user-level lookup result (`user`, or null), whether all came `fromCache`, whether any are `pending` and whether there are `userLevel` segments
  */
-async function callSegmentApi(apiRequest, env) {
-  try {
-    const apiStartTime = Date.now();
-    const apiKey = env.SCOPE3_API_KEY || config.TEST_API_KEY;
-    
-    // Set up timeout using AbortController
+async function lookupSegments(apiRequest, env, ctx) {
+  const pageRequest = buildContextualRequest(apiRequest);
+  const pageCacheKey = getCacheKey(pageRequest, 'page', env);
+
+  const lookups = [lookupScopedSegments(pageRequest, pageCacheKey, env, ctx)];
+  if (apiRequest.user?.ext?.eids?.length > 0) {
+    const userRequest = buildAudienceRequest(apiRequest);
+    const userCacheKey = getCacheKey(userRequest, 'user', env);
+    lookups.push(lookupScopedSegments(userRequest, userCacheKey, env, ctx));
+  }
+
+  const results = await Promise.all(lookups);
+  const found = results.map(result => result.segments).filter(Boolean);
+
+  return {
+    segments: found.length > 0 ? mergeSegments(...found) : null,
+    sources: mergeSources(...results.map(result => result.sources)),
+    apiRequest,
+    cacheKeys: results.map(result => result.cacheKey),
+    pageRequest,
+    pageCacheKey,
+    page: results[0],
+    user: results[1] || null,
+    fromCache: results.every(result => result.fromCache),
+    pending: results.some(result => result.pending),
+    userLevel: results.length > 1
+  };
+}
+
+/**
+ * Look up the segments for a single cache key, from the cache or the segment providers
+ *
+ * If the providers do not answer within API_TIMEOUT the call is kept alive with
+ * ctx.waitUntil (up to LATE_BINDING_TIMEOUT) and its result cached, and the
+ * lookup is marked `pending` so the page can fetch the segments later.
+ * @param {Object} apiRequest - The OpenRTB request for this level
+ * @param {string} cacheKey - The cache key for this level
+ * @param {Object} env - Environment variables and bindings
+ * @param {Object} ctx - Execution context
+ * @returns {Promise<Object>} - The `segments` (or null) and their `sources`, their `cacheKey`, whether they came `fromCache`,
+ *   whether they are `pending`, whether they were fetched and `stored` in the cache, the `cacheStatus` (`hit`, `stale` or `miss`),
+ *   the age of the cache entry (`cacheAge`, ms, or null), how long the cache read took (`cacheReadLatency`, ms)
+ *   and, if the providers were called, the `apiCall`'s `latency`, `errors`, `responses`, whether it was `complete`, `answered` or `late`
+ */
+async function lookupScopedSegments(apiRequest, cacheKey, env, ctx) {
+  // Get segments from cache, refreshing stale entries in the background
+  const cacheReadStartTime = Date.now();
+  const cached = await getCachedSegments(cacheKey, env);
+  const cacheReadLatency = Date.now() - cacheReadStartTime;
+  if (cached) {
+    if (cached.stale) {
+      log.info(`[CACHE] Serving stale segments for key: ${cacheKey}, refreshing in background`);
+      refreshInBackground(apiRequest, cacheKey, env, ctx);
+    }
+    return {
+      segments: cached.segments, sources: cached.sources, cacheKey, fromCache: true, pending: false, stored: false,
+      cacheStatus: cached.stale ? 'stale' : 'hit', cacheAge: cached.age, cacheReadLatency, apiCall: null
+    };
+  }
+
+  let result;
+  log.info(`[CACHE] Cache miss for key: ${cacheKey}, fetching from API`);
+
+  if (env.LATE_BINDING === 'false') {
+    result = await callSegmentProviders(apiRequest, env);
+  } else {
     const apiTimeout = parseInt(env.API_TIMEOUT || config.DEFAULT_API_TIMEOUT);
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), apiTimeout);
-    
-    console.log(`[API] Sending OpenRTB request:`, JSON.stringify(apiRequest, null, 2));
-    
-    const response = await fetch(config.SCOPE3_API_ENDPOINT, {
-      method: 'POST',
-      headers: {
-          'Content-Type': 'application/json',
-          'x-scope3-auth': `${apiKey}`
-      },
-      body: JSON.stringify(apiRequest),
-      signal: controller.signal
+    const lateBindingTimeout = parseInt(env.LATE_BINDING_TIMEOUT || config.DEFAULT_LATE_BINDING_TIMEOUT);
+    const apiCall = callSegmentProviders(apiRequest, env, Math.max(apiTimeout, lateBindingTimeout));
+    const startTime = Date.now();
+
+    let timeoutId;
+    const deadline = new Promise(resolve => {
+      timeoutId = setTimeout(() => resolve(API_DEADLINE_MISSED), apiTimeout);
     });
-    
+    result = await Promise.race([apiCall, deadline]);
     clearTimeout(timeoutId);
-    const apiTime = Date.now() - apiStartTime;
-    console.log(`[TIMING] Scope3 API call took ${apiTime}ms`);
-    
-    // Get the response text and try to parse it as JSON
-    const responseText = await response.text();
-    
-    // Try to parse the JSON response
-    let data;
-    try {
-      data = JSON.parse(responseText);
-      console.log(`[API] Scope3 API response:`, JSON.stringify(data, null, 2));
-      
-      // Check for API error responses and don't cache them
-      if (data.error) {
-        console.error(`[API] API returned error: ${data.error}`);
-        return null; // Return null to prevent caching
-      }
-    } catch (parseError) {
-      console.error(`[API] JSON parse error: ${parseError.message}`);
-      console.log(`[API] Response body: ${responseText}`);
-      return null; // Return null to prevent caching
-    }
-    
-    // Handle the new response format - this will need to be adjusted based on the actual response
-    // Create structured segments object
-    const structuredSegments = {
-      global: [] // Empty global segments for now
-    };
-    
-    // Parse slot-specific segments from impressions
-    if (data && data.data && Array.isArray(data.data)) {
-      // Process each destination in the response
-      data.data.forEach(destination => {
-        // Check for imp array
-        if (destination.imp && Array.isArray(destination.imp)) {
-          // Process each impression
-          destination.imp.forEach(impression => {
-            // Extract segments if available
-            if (impression.ext && impression.ext.scope3 && impression.ext.scope3.segments) {
-              const impSegments = impression.ext.scope3.segments.map(segment => segment.id);
-              
-              // Add to slot-specific collection using tagid or imp.id as fallback
-              const slotId = impression.tagid || impression.id;
-              if (slotId) {
-                structuredSegments[slotId] = impSegments;
-              }
-            }
-          });
+
+    if (result === API_DEADLINE_MISSED) {
+      log.info(`[API] Scope3 API missed the ${apiTimeout}ms deadline, delivering segments late for key: ${cacheKey}`);
+      ctx.waitUntil(apiCall.then(lateResult => {
+        if (isCacheable(lateResult)) {
+          return cacheSegments(cacheKey, lateResult, env, apiRequest);
         }
-      });
+      }));
+      return {
+        segments: null, sources: {}, cacheKey, fromCache: false, pending: true, stored: false, cacheStatus: 'miss', cacheAge: null, cacheReadLatency,
+        apiCall: { latency: Date.now() - startTime, errors: {}, responses: {}, complete: false, answered: false, late: true }
+      };
     }
-    
-    // Return empty result if no data was found
-    if (Object.keys(structuredSegments).length === 1 && structuredSegments.global.length === 0) {
-      // We only have the empty global array, no real segments
-      console.log(`[SEGMENTS] No segments found in API response`);
-      return structuredSegments; // We still return this but won't cache it
+  }
+
+  const stored = isCacheable(result);
+  if (stored) {
+    // Use context.waitUntil to not block the response
+    ctx.waitUntil(cacheSegments(cacheKey, result, env, apiRequest));
+  }
+
+  return {
+    segments: result.segments, sources: result.sources, cacheKey, fromCache: false, pending: false, stored, cacheStatus: 'miss', cacheAge: null, cacheReadLatency,
+    apiCall: {
+      latency: result.latency, errors: result.errors, responses: result.responses,
+      complete: result.complete, answered: result.segments !== null, late: false
     }
-    
-    // Log structured segments
-    console.log(`[SEGMENTS] Structured segments:`, JSON.stringify(structuredSegments, null, 2));
-    
-    // Return the structured segments object
-    return structuredSegments;
+  };
+}
+
+/**
+ * Serve cached segments to the late-binding loader
+ * @param {URL} url - The endpoint URL with one `key` query parameter per pending level's cache key
+ * @param {Object} env - Environment variables and bindings
+ * @returns {Promise<Response>} - 200 with the merged segments, 204 while they are not all available yet
+ */
+async function handleSegmentsEndpoint(url, env) {
+  const cacheKeys = url.searchParams.getAll('key');
+
+  // Only accept (a few) keys in the shape getCacheKey produces
+  if (cacheKeys.length === 0 || cacheKeys.length > 2 ||
+      !cacheKeys.every(key => /^[a-z0-9.-]+:(page|user):[0-9a-f]{16}$/i.test(key))) {
+    return new Response(JSON.stringify({ error: 'Invalid key' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
+    });
+  }
+
+  // Wait until every level the page is still waiting for has been delivered
+  const cached = await Promise.all(cacheKeys.map(key => getCachedSegments(key, env)));
+  if (cached.some(entry => !entry)) {
+    return new Response(null, {
+      status: 204,
+      headers: { 'Cache-Control': 'no-store' }
+    });
+  }
+
+  return new Response(JSON.stringify(mergeSegments(...cached.map(entry => entry.segments))), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
+  });
+}
+
+// Refreshes in flight in this isolate, by cache key, so a popular page only refreshes once
+const refreshLocks = new Map();
+
+/**
+ * Refresh a cache entry with ctx.waitUntil unless a refresh for the key is already running
+ * @param {Object} apiRequest - The OpenRTB request object
+ * @param {string} cacheKey - The cache key to refresh
+ * @param {Object} env - Environment variables and bindings
+ * @param {Object} ctx - Execution context
+ * @returns {void}
+ */
+function refreshInBackground(apiRequest, cacheKey, env, ctx) {
+  if (refreshLocks.has(cacheKey)) {
+    log.info(`[CACHE] Refresh already in progress for key: ${cacheKey}`);
+    return;
+  }
+
+  const refresh = refreshSegments(apiRequest, cacheKey, env)
+    .finally(() => refreshLocks.delete(cacheKey));
+  refreshLocks.set(cacheKey, refresh);
+  ctx.waitUntil(refresh);
+}
+
+/**
+ * Handle the admin API
+ *
+ * Routes (all require `Authorization: Bearer <ADMIN_API_TOKEN>`):
+ * - GET    /__scope3/admin/cache?url=...  Show the cache keys computed for a page and
+ *          device profile (`ua`, `device`, `country`, `cookie`, `etag`, `last_modified`)
+ *          with the cached segments and their age
+ * - GET    /__scope3/admin/cache?key=...  Show a single cache entry
+ * - DELETE /__scope3/admin/cache?key=...  Purge a single cache key
+ * - DELETE /__scope3/admin/cache?url=...  Purge all page-level keys stored for a page
+ *          plus the keys computed for the given profile
+ * - GET    /__scope3/admin/stats           Show this isolate's hedging counters and
+ *          circuit breaker states
+ * - GET    /__scope3/admin/debug-token?host=...&ttl=...  Mint a debug token for a
+ *          host (needs DEBUG_SECRET, see debug.js), valid for `ttl` seconds
+ *
+ * With the Cache API backend, purges only affect the colo handling the request.
+ * @param {Request} request - The incoming request
+ * @param {URL} url - The request URL
+ * @param {Object} env - Environment variables and bindings
+ * @returns {Promise<Response>} - A JSON response
+ */
+async function handleAdminRequest(request, url, env) {
+  // The admin API does not exist unless a token is configured
+  if (!env.ADMIN_API_TOKEN) {
+    return jsonResponse({ error: 'Not found' }, 404);
+  }
+
+  const authorization = request.headers.get('Authorization') || '';
+  const token = authorization.replace(/^Bearer\s+/i, '');
+  if (!authorization || !timingSafeEqual(token, env.ADMIN_API_TOKEN)) {
+    log.info(`[ADMIN] Rejected unauthenticated admin request`);
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+
+  if (url.pathname === `${config.ADMIN_PATH_PREFIX}stats`) {
+    if (request.method !== 'GET') {
+      return jsonResponse({ error: 'Method not allowed' }, 405);
+    }
+    return jsonResponse({ hedging: getHedgingStats(), circuits: getCircuitStates(env) });
+  }
+
+  if (url.pathname === `${config.ADMIN_PATH_PREFIX}debug-token`) {
+    if (request.method !== 'GET') {
+      return jsonResponse({ error: 'Method not allowed' }, 405);
+    }
+    const host = url.searchParams.get('host');
+    const ttl = parseInt(url.searchParams.get('ttl') || config.DEFAULT_DEBUG_TOKEN_TTL);
+    if (!env.DEBUG_SECRET) {
+      return jsonResponse({ error: 'DEBUG_SECRET is not set' }, 400);
+    }
+    if (!host || !(ttl > 0 && ttl <= config.MAX_DEBUG_TOKEN_TTL)) {
+      return jsonResponse({ error: `Expected a host and a ttl of at most ${config.MAX_DEBUG_TOKEN_TTL} seconds` }, 400);
+    }
+    log.info(`[ADMIN] Minted a debug token for ${host}, valid for ${ttl}s`);
+    return jsonResponse({ host, ...createDebugToken(host, ttl, env) });
+  }
+
+  if (url.pathname !== `${config.ADMIN_PATH_PREFIX}cache`) {
+    return jsonResponse({ error: 'Not found' }, 404);
+  }
+  if (request.method !== 'GET' && request.method !== 'DELETE') {
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  }
+
+  try {
+    const store = createSegmentStore(env);
+    const key = url.searchParams.get('key');
+    const target = url.searchParams.get('url');
+
+    if (!key && !target) {
+      return jsonResponse({ error: 'Missing url or key parameter' }, 400);
+    }
+
+    if (key) {
+      if (request.method === 'DELETE') {
+        await store.delete(key);
+        log.info(`[ADMIN] Purged cache key: ${key}`);
+        return jsonResponse({ purged: [key] });
+      }
+      return jsonResponse({ entries: [await describeCacheEntry(key, env)] });
+    }
+
+    // Compute the keys getCacheKey would use for this page and device profile,
+    // with the page's site config
+    const targetUrl = new URL(target);
+    const siteEnv = await getSiteEnv(targetUrl.hostname, env);
+    const { pageUrl, cacheKeys } = getAdminCacheKeys(targetUrl, url.searchParams, siteEnv);
+
+    if (request.method === 'DELETE') {
+      const index = await store.get(getPageIndexKey(pageUrl.toString()));
+      const keys = [...new Set([...(index?.keys || []), ...cacheKeys.map(({ key }) => key)])];
+      await Promise.all(keys.map(cacheKey => store.delete(cacheKey)));
+      await store.delete(getPageIndexKey(pageUrl.toString()));
+      log.info(`[ADMIN] Purged ${keys.length} cache keys for page: ${loggableUrl(pageUrl)}`);
+      return jsonResponse({ page: pageUrl.toString(), purged: keys });
+    }
+
+    const entries = await Promise.all(cacheKeys.map(async ({ scope, key: cacheKey }) => ({
+      scope,
+      ...(await describeCacheEntry(cacheKey, siteEnv))
+    })));
+    return jsonResponse({ page: pageUrl.toString(), backend: store.name, entries });
   } catch (error) {
-    console.error(`[API] Error getting segments: ${error}`);
-    // Return null to prevent caching
+    log.error(`[ADMIN] Error handling admin request: ${error}`);
+    return jsonResponse({ error: error.message }, 400);
+  }
+}
+
+/**
+ * Compute the cache keys for a page as seen by a given device profile
+ * @param {URL} targetUrl - The page URL
+ * @param {URLSearchParams} params - The profile: `ua`, `device`, `country`, `cookie`, `etag`, `last_modified`
+ * @param {Object} env - Environment variables and bindings
+ * @returns {Object} - The canonical `pageUrl` and the `cacheKeys` as `{ scope, key }`
+ */
+function getAdminCacheKeys(targetUrl, params, env) {
+  const headers = {};
+  if (params.get('ua')) headers['user-agent'] = params.get('ua');
+  if (params.get('device')) headers['CF-Device-Type'] = params.get('device');
+  if (params.get('cookie')) headers['cookie'] = params.get('cookie');
+
+  const profileRequest = {
+    headers: new Headers(headers),
+    cf: params.get('country') ? { country: params.get('country') } : undefined
+  };
+
+  const pageUrl = getCanonicalUrl(targetUrl, env);
+  const apiRequest = buildOpenRtbRequest(pageUrl, params.get('etag'), params.get('last_modified'), profileRequest, {
+    slots: getAdSlots(pageUrl, env),
+    identitySources: getIdentitySources(env)
+  });
+
+  const cacheKeys = [{
+    scope: 'page',
+    key: getCacheKey(buildContextualRequest(apiRequest), 'page', env)
+  }];
+  if (apiRequest.user?.ext?.eids?.length > 0) {
+    cacheKeys.push({
+      scope: 'user',
+      key: getCacheKey(buildAudienceRequest(apiRequest), 'user', env)
+    });
+  }
+
+  return { pageUrl, cacheKeys };
+}
+
+/**
+ * Describe a cache entry for the admin API
+ * @param {string} cacheKey - The cache key
+ * @param {Object} env - Environment variables and bindings
+ * @returns {Promise<Object>} - The key, whether it is cached and, if so, its segments, age and staleness
+ */
+async function describeCacheEntry(cacheKey, env) {
+  const cached = await getCachedSegments(cacheKey, env);
+  if (!cached) {
+    return { key: cacheKey, cached: false };
+  }
+  return {
+    key: cacheKey,
+    cached: true,
+    age: Math.round(cached.age / 1000),
+    stale: cached.stale,
+    segments: cached.segments,
+    sources: cached.sources
+  };
+}
+
+/**
+ * Create an uncacheable JSON response
+ * @param {Object} data - The response body
+ * @param {number} [status=200] - The HTTP status
+ * @returns {Response} - The response
+ */
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data, null, 2), {
+    status,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
+  });
+}
+
+/**
+ * Call the API again and overwrite the cache entry for a key
+ *
+ * A page-level entry keeps the AI categories it was enriched with: the model
+ * only runs on a cache miss, which a page with steady traffic never has.
+ * @param {Object} apiRequest - The OpenRTB request object
+ * @param {string} cacheKey - The cache key to store the result under
+ * @param {Object} env - Environment variables and bindings
+ * @returns {Promise<Object|null>} - The result if it was cached, null otherwise
+ */
+async function refreshSegments(apiRequest, cacheKey, env) {
+  log.info(`[CACHE] Refreshing segments for key: ${cacheKey}`);
+  let result = await callSegmentProviders(apiRequest, env);
+  if (!isCacheable(result)) {
     return null;
   }
+
+  // Read the entry only now, so an enrichment written during the provider call is kept
+  const aiSegments = cacheKey.includes(':page:') ? (await getCachedSegments(cacheKey, env))?.sources.ai : null;
+  if (aiSegments) {
+    result = {
+      ...result,
+      segments: mergeSegments(result.segments, aiSegments),
+      sources: { ...result.sources, ai: aiSegments }
+    };
+  }
+  await cacheSegments(cacheKey, result, env, apiRequest);
+  return result;
+}
+
+/**
+ * Check whether a structured segments object is worth caching
+ * @param {Object} segments - The structured segments
+ * @returns {boolean} - True if there is at least one non-empty segment
+ */
+function hasSegments(segments) {
+  // Only cache if we got valid segments (not null and has at least one non-empty segment)
+  return !!segments && Object.keys(segments).length > 0 &&
+    (segments.global.length > 0 || Object.keys(segments).some(key => key !== 'global'));
+}
+
+/**
+ * Check whether a provider result is worth caching
+ *
+ * Results missing a failed provider's segments are served but not cached, so
+ * the next pageview asks that provider again.
+ * @param {Object} result - The result of callSegmentProviders
+ * @returns {boolean} - True if every provider answered and there are segments
+ */
+function isCacheable(result) {
+  return result.complete && hasSegments(result.segments);
+}
+
+/**
+ * Decide whether a request comes from a bot, from Cloudflare Bot Management
+ * @param {Request} request - The incoming request
+ * @returns {string} - `verified_bot`, `bot` (score above 75), `human`, or `unknown` without bot management data
+ */
+function getBotDecision(request) {
+  const botManagement = request.cf?.bot_management;
+  if (!botManagement) {
+    return 'unknown';
+  }
+  if (botManagement.verified_bot) {
+    return 'verified_bot';
+  }
+  return botManagement.score > 75 ? 'bot' : 'human';
 }
 
 /**
@@ -224,124 +803,153 @@ function parseCookies(request) {
   return cookies;
 }
 
-// This function has been removed as it duplicates the functionality of callSegmentApi
-
 /**
- * Get segments from the Cache API
+ * Get segments from the configured cache backend
+ *
+ * Entries older than CACHE_TTL are still returned, marked `stale`, for another
+ * CACHE_STALE_TTL seconds so they can be served while being refreshed.
  * @param {string} cacheKey - The key to look up in the cache
  * @param {Object} env - Environment variables and bindings
- * @returns {Promise<Array|null>} - The cached segments or null if not found
+ * @returns {Promise<Object|null>} - The cached `segments` with their `sources`, `age` (ms) and `stale` flag, or null if not found
  */
 async function getCachedSegments(cacheKey, env) {
   try {
     // Start timer for cache operation
     const cacheStartTime = Date.now();
     
-    // Use the Scope3 API domain as a consistent hostname
-    const apiUrl = new URL(config.SCOPE3_API_ENDPOINT);
-    const cacheUrl = new URL(`https://${apiUrl.hostname}/cache/${encodeURIComponent(cacheKey)}`);
-    const cacheRequest = new Request(cacheUrl);
-    
-    // Access the default cache
-    const cache = caches.default;
-    // No need for a log here, we already logged above
-    const cachedResponse = await cache.match(cacheRequest);
+    const store = createSegmentStore(env);
+    const cachedData = await store.get(cacheKey);
     
     const cacheTime = Date.now() - cacheStartTime;
-    console.log(`[TIMING] Cache API read took ${cacheTime}ms`);
+    log.info(`[TIMING] Cache read (${store.name}) took ${cacheTime}ms`);
     
-    if (!cachedResponse) {
-      console.log(`[CACHE] No cached segments for key: ${cacheKey}`);
+    if (!cachedData) {
+      log.info(`[CACHE] No cached segments for key: ${cacheKey}`);
       return null;
     }
     
-    // Parse the cached data
-    const cachedData = await cachedResponse.json();
-    
-    // Check if cache is expired
-    const cacheTtl = parseInt(env.CACHE_TTL || config.DEFAULT_CACHE_TTL);
+    // Check if cache is expired, or only stale
+    const { cacheTtl, staleTtl } = getCacheTtls(env);
     const cacheAge = Date.now() - cachedData.timestamp;
     
-    if (cacheAge > cacheTtl * 1000) {
-      console.log(`[CACHE] Cached segments expired for key: ${cacheKey}`);
+    if (cacheAge > (cacheTtl + staleTtl) * 1000) {
+      log.info(`[CACHE] Cached segments expired for key: ${cacheKey}`);
       return null;
     }
+    const stale = cacheAge > cacheTtl * 1000;
     
-    console.log(`[CACHE] Found cached segments for key: ${cacheKey}`);
+    log.info(`[CACHE] Found ${stale ? 'stale ' : ''}cached segments for key: ${cacheKey}`);
     
     // Handle both new structured format and legacy format
     if (cachedData.structuredSegments) {
-      console.log(`[SEGMENTS] Found cached structured segments:`, JSON.stringify(cachedData.structuredSegments, null, 2));
-      return cachedData.structuredSegments;
+      log.debug(`[SEGMENTS] Found cached structured segments:`, cachedData.structuredSegments);
+      return { segments: cachedData.structuredSegments, sources: cachedData.sources || {}, age: cacheAge, stale };
     } else if (cachedData.segments) {
       // Legacy format - convert to structured format
-      console.log(`[SEGMENTS] Found ${cachedData.segments.length} cached segments (legacy format):`, JSON.stringify(cachedData.segments, null, 2));
-      return { global: cachedData.segments };
+      log.debug(`[SEGMENTS] Found ${cachedData.segments.length} cached segments (legacy format):`, cachedData.segments);
+      return { segments: { global: cachedData.segments }, sources: {}, age: cacheAge, stale };
     }
     
     // No valid segments found
     return null;
   } catch (error) {
-    console.error(`[CACHE] Error checking cache: ${error}`);
+    log.error(`[CACHE] Error checking cache: ${error}`);
     return null;
   }
 }
 
 /**
- * Store segments in the Cache API
- * @param {URL} url - The original URL
- * @param {string} etag - The ETag header
- * @param {string} last_modified - The Last-Modified header
- * @param {Array} segments - The segments to cache
+ * Store segments in the configured cache backend
+ * @param {string} cacheKey - The key to store the segments under
+ * @param {Object} result - The provider result, with the `segments` to cache and their `sources`
  * @param {Object} env - Environment variables and bindings
+ * @param {Object} [apiRequest] - The request the segments were fetched for; page-level entries are indexed by its page URL
  * @returns {Promise<void>}
  */
-async function cacheSegments(cacheKey, structuredSegments, env) {
+async function cacheSegments(cacheKey, { segments, sources }, env, apiRequest) {
   try {
     // Create the cache entry with structured segments
     const cacheData = {
-      structuredSegments: structuredSegments,
+      structuredSegments: segments,
+      sources: sources,
       timestamp: Date.now()
     };
     
-    // Get cache TTL from environment or use default
-    const cacheTtl = parseInt(env.CACHE_TTL || config.DEFAULT_CACHE_TTL);
+    // Keep entries through the stale window so they can still be served while refreshing
+    const { cacheTtl, staleTtl } = getCacheTtls(env);
     
     // Start timer for cache write operation
     const cacheWriteStartTime = Date.now();
     
-    // Use the Scope3 API domain as a consistent hostname
-    const apiUrl = new URL(config.SCOPE3_API_ENDPOINT);
-    const cacheUrl = new URL(`https://${apiUrl.hostname}/cache/${encodeURIComponent(cacheKey)}`);
-    const cacheRequest = new Request(cacheUrl);
-    const cacheResponse = new Response(JSON.stringify(cacheData), {
-      headers: {
-        'Content-Type': 'application/json',
-        'Cache-Control': `max-age=${cacheTtl}`
-      }
-    });
+    const store = createSegmentStore(env);
+    await store.put(cacheKey, cacheData, cacheTtl + staleTtl);
     
-    // Store in Cache API
-    const cache = caches.default;
-    await cache.put(cacheRequest, cacheResponse);
+    // Remember which keys belong to a page so the admin API can purge them together
+    if (apiRequest?.site?.page && cacheKey.includes(':page:')) {
+      await indexPageCacheKey(store, apiRequest.site.page, cacheKey, cacheTtl + staleTtl);
+    }
     
     const cacheWriteTime = Date.now() - cacheWriteStartTime;
-    console.log(`[TIMING] Cache API write took ${cacheWriteTime}ms`);
-    console.log(`[CACHE] Cached structured segments for key: ${cacheKey} with TTL of ${cacheTtl}s`);
+    log.info(`[TIMING] Cache write (${store.name}) took ${cacheWriteTime}ms`);
+    log.info(`[CACHE] Cached structured segments for key: ${cacheKey} with TTL of ${cacheTtl}s`);
   } catch (error) {
-    console.error(`[CACHE] Error caching segments: ${error}`);
+    log.error(`[CACHE] Error caching segments: ${error}`);
   }
 }
 
+/**
+ * Add a page-level cache key to the index of keys stored for a page
+ * @param {Object} store - The cache backend
+ * @param {string} pageUrl - The canonical page URL
+ * @param {string} cacheKey - The page-level cache key
+ * @param {number} ttl - Lifetime of the index entry in seconds
+ * @returns {Promise<void>}
+ */
+async function indexPageCacheKey(store, pageUrl, cacheKey, ttl) {
+  const indexKey = getPageIndexKey(pageUrl);
+  const index = await store.get(indexKey) || { keys: [] };
+  if (!index.keys.includes(cacheKey)) {
+    index.keys.push(cacheKey);
+  }
+  index.timestamp = Date.now();
+  await store.put(indexKey, index, ttl);
+}
+
+/**
+ * Get the key of the index of cache keys stored for a page
+ * @param {string} pageUrl - The canonical page URL
+ * @returns {string} - The index key
+ */
+function getPageIndexKey(pageUrl) {
+  const apiUrl = new URL(config.SCOPE3_API_ENDPOINT);
+  return `${apiUrl.hostname}:index:${SHA256(pageUrl).toString(Hex).substring(0, 16)}`;
+}
+
+/**
+ * Get the cache lifetimes from environment or use defaults
+ * @param {Object} env - Environment variables and bindings
+ * @returns {Object} - `cacheTtl` and `staleTtl` in seconds
+ */
+function getCacheTtls(env) {
+  return {
+    cacheTtl: parseInt(env.CACHE_TTL || config.DEFAULT_CACHE_TTL),
+    staleTtl: parseInt(env.CACHE_STALE_TTL || config.DEFAULT_CACHE_STALE_TTL)
+  };
+}
+
 /**
  * Build an OpenRTB request object for the Scope3 API
  * @param {URL} url - The URL of the page
  * @param {string} etag - The ETag header from the response
  * @param {string} lastModified - The Last-Modified header from the response
  * @param {Request} request - The original request with headers and CF data
+ * @param {Object} [options] - Request options
+ * @param {Array<Object>} [options.slots] - The ad slots of the page, one `imp` each
+ * @param {Array<string>} [options.identitySources] - The EID sources enabled for the site (all if not set)
+ * @param {Object} [options.content] - The page content extracted on an earlier pageview
  * @returns {Object} - The OpenRTB request object
  */
-function buildOpenRtbRequest(url, etag, lastModified, request) {
+function buildOpenRtbRequest(url, etag, lastModified, request, { slots, identitySources, content } = {}) {
   // Extract domain from the URL
   const domain = url.hostname;
   
@@ -432,9 +1040,9 @@ function buildOpenRtbRequest(url, etag, lastModified, request) {
     try {
       // SharedID is usually stored as JSON
       sharedIdParsed = JSON.parse(sharedId);
-      console.log(`[ID] Found SharedID: ${JSON.stringify(sharedIdParsed)}`);
+      log.info(`[ID] Found SharedID ${hashIdentifier(sharedIdParsed?.id ?? sharedIdParsed)}`);
     } catch (e) {
-      console.log(`[ID] Found SharedID but couldn't parse: ${sharedId}`);
+      log.info(`[ID] Found SharedID but couldn't parse it (${hashIdentifier(sharedId)})`);
     }
   }
   
@@ -458,18 +1066,18 @@ function buildOpenRtbRequest(url, etag, lastModified, request) {
           lrEnvParsed = JSON.parse(decoded);
         }
       }
-      console.log(`[ID] Found verified LiveRamp ATS envelope: ${JSON.stringify(lrEnvParsed)}`);
+      log.info(`[ID] Found verified LiveRamp ATS envelope ${hashIdentifier(lrEnvParsed?.envelope ?? lrEnvParsed)}`);
     } catch (e) {
-      console.log(`[ID] Found LiveRamp envelope but couldn't parse: ${lrEnv}`);
+      log.info(`[ID] Found LiveRamp envelope but couldn't parse it (${hashIdentifier(lrEnv)})`);
     }
   } else if (lrEnv) {
-    console.log(`[ID] Found LiveRamp envelope but source is not verified (_lr_env_src_ats = ${lrEnvSource}), skipping`);
+    log.info(`[ID] Found LiveRamp envelope but source is not verified (_lr_env_src_ats = ${lrEnvSource}), skipping`);
   }
   
   // Check for UID2 token (Unified ID 2.0)
   const uid2Token = cookies['__uid2_advertising_token'] || cookies['uid2'] || null;
   if (uid2Token) {
-    console.log(`[ID] Found UID2 token: ${uid2Token.substring(0, 10)}...`);
+    log.info(`[ID] Found UID2 token ${hashIdentifier(uid2Token)}`);
   }
   
   // Check for ID5 ID (several possible cookie names)
@@ -480,10 +1088,10 @@ function buildOpenRtbRequest(url, etag, lastModified, request) {
     try {
       // ID5 ID is usually stored as JSON
       id5IdParsed = JSON.parse(id5Id);
-      console.log(`[ID] Found ID5 ID: ${JSON.stringify(id5IdParsed)}`);
+      log.info(`[ID] Found ID5 ID ${hashIdentifier(id5IdParsed?.universal_uid ?? id5IdParsed)}`);
     } catch (e) {
       // Some implementations store it as a plain value
-      console.log(`[ID] Found ID5 ID but couldn't parse as JSON, using as-is: ${id5Id}`);
+      log.info(`[ID] Found ID5 ID but couldn't parse as JSON, using as-is: ${hashIdentifier(id5Id)}`);
       id5IdParsed = { universal_uid: id5Id };
     }
   }
@@ -500,11 +1108,7 @@ function buildOpenRtbRequest(url, etag, lastModified, request) {
         }
       }
     },
-    imp: [
-      {
-        id: "1"
-      }
-    ],
+    imp: buildImpressions(slots),
     device: {
       devicetype: devicetype,
       geo: {
@@ -573,11 +1177,21 @@ function buildOpenRtbRequest(url, etag, lastModified, request) {
     }
   }
   
-  // Only include user object if we have IDs
-  if (openRtbRequest.user.ext.eids.length === 0) {
-    delete openRtbRequest.user;
+  // Drop IDs from sources the site has not enabled
+  if (identitySources) {
+    openRtbRequest.user.ext.eids = openRtbRequest.user.ext.eids.filter(eid => {
+      if (!identitySources.includes(eid.source)) {
+        log.info(`[ID] Skipping ${eid.source} ID: not an enabled identity source for ${domain}`);
+        return false;
+      }
+      return true;
+    });
   }
   
+  // Add regs and consent, and drop the IDs the visitor has not consented to
+  // (the user object is only kept if there are IDs or a consent string)
+  applyConsent(openRtbRequest, getConsentState(request, cookies));
+  
   // Add optional geo fields only if they have valid values
   if (region) openRtbRequest.device.geo.region = region;
   if (city) openRtbRequest.device.geo.city = city;
@@ -586,119 +1200,270 @@ function buildOpenRtbRequest(url, etag, lastModified, request) {
   if (longitude !== null && !isNaN(longitude)) openRtbRequest.device.geo.lon = longitude;
   if (timezone) openRtbRequest.device.geo.utcoffset = timezone;
   
+  // Add the page's title, keywords, language and other contextual signals
+  applyPageContent(openRtbRequest, content);
+  
   return openRtbRequest;
 }
 
+/**
+ * Build the page-level (contextual) request: everything except the user's identifiers
+ * @param {Object} apiRequest - The OpenRTB request object
+ * @returns {Object} - The request without user identifiers (the consent string is kept)
+ */
+function buildContextualRequest(apiRequest) {
+  const { user, ...contextualRequest } = apiRequest;
+  if (user?.consent) {
+    contextualRequest.user = { consent: user.consent, ext: { consent: user.consent } };
+  }
+  return contextualRequest;
+}
+
+/**
+ * Build the user-level (audience) request: the user and device without page details
+ * @param {Object} apiRequest - The OpenRTB request object
+ * @returns {Object} - The request with the site reduced to its domain
+ */
+function buildAudienceRequest(apiRequest) {
+  return {
+    ...apiRequest,
+    site: { domain: apiRequest.site.domain }
+  };
+}
+
+/**
+ * Get the EID sources enabled for the site
+ * @param {Object} env - Environment variables and bindings
+ * @returns {Array<string>|null} - The enabled sources, or null if all are enabled
+ */
+function getIdentitySources(env) {
+  if (!env.IDENTITY_SOURCES) {
+    return null;
+  }
+  return env.IDENTITY_SOURCES.split(',').map(source => source.trim()).filter(Boolean);
+}
+
+/**
+ * Get the request fields that make up a cache key
+ * @param {Object} env - Environment variables and bindings
+ * @param {string} scope - 'page' or 'user'
+ * @returns {Array<string>} - Dotted paths into the OpenRTB request
+ */
+function getCacheKeyFields(env, scope) {
+  const configured = scope === 'page' ? env.PAGE_CACHE_KEY_FIELDS : env.USER_CACHE_KEY_FIELDS;
+  if (configured) {
+    return configured.split(',').map(field => field.trim()).filter(Boolean);
+  }
+  return scope === 'page' ? config.DEFAULT_PAGE_CACHE_KEY_FIELDS : config.DEFAULT_USER_CACHE_KEY_FIELDS;
+}
+
 /**
  * Generate a cache key from the API request
  * @param {Object} apiRequest - The OpenRTB request object
+ * @param {string} scope - 'page' or 'user', included in the key
+ * @param {Object} env - Environment variables and bindings
  * @returns {string} - The cache key
  */
-function getCacheKey(apiRequest) {
-  // Create a normalized request object for consistent hashing
-  const requestCopy = JSON.parse(JSON.stringify(apiRequest));
-  
-  // Normalize or remove fields that shouldn't affect caching
-  if (requestCopy.device) {
-    // UA string contains too many variations, normalize to browser/OS/device type
-    if (requestCopy.device.ua) {
-      const parser = new UAParserLib.UAParser(requestCopy.device.ua);
-      const result = parser.getResult();
-      // Replace detailed UA string with normalized version
-      requestCopy.device.ua_normalized = {
+function getCacheKey(apiRequest, scope, env) {
+  // Create a normalized object with just the configured fields for consistent hashing
+  const keyFields = {};
+  for (const field of getCacheKeyFields(env, scope)) {
+    const value = field.split('.').reduce((obj, part) => (obj == null ? undefined : obj[part]), apiRequest);
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+
+    if (field === 'device.ua') {
+      // UA string contains too many variations, normalize to browser/OS/device type
+      const result = new UAParserLib.UAParser(value).getResult();
+      keyFields[field] = {
         browser: result.browser.name,
         os: result.os.name,
-        device: requestCopy.device.devicetype
+        device: apiRequest.device?.devicetype
       };
-      delete requestCopy.device.ua;
+    } else if (field === 'user.ext.eids') {
+      // Keep only the IDs, not the full structure, to simplify the cache key
+      keyFields[field] = value
+        .filter(eid => eid.uids && eid.uids.length > 0)
+        .map(eid => ({ source: eid.source, id: eid.uids[0].id }));
+    } else {
+      keyFields[field] = value;
     }
   }
   
-  // Extract just the user IDs for cache key - we want different caches per user ID
-  const userIds = [];
-  if (requestCopy.user && requestCopy.user.ext && requestCopy.user.ext.eids) {
-    // Keep only the IDs, not the full structure, to simplify the cache key
-    requestCopy.user.ext.eids.forEach(eid => {
-      if (eid.uids && eid.uids.length > 0) {
-        userIds.push({
-          source: eid.source,
-          id: eid.uids[0].id
-        });
-      }
-    });
-  }
-  
-  // Replace full user object with just the essential IDs
-  if (userIds.length > 0) {
-    requestCopy.user_ids = userIds;
-  }
-  delete requestCopy.user;
-  
-  // Create a deterministic cache key based on a SHA-256 hash of the normalized request
-  const requestStr = JSON.stringify(requestCopy);
+  // Create a deterministic cache key based on a SHA-256 hash of the normalized fields
+  const requestStr = JSON.stringify(keyFields);
   // Use SHA-256 for better distribution and collision resistance
   const requestHash = SHA256(requestStr).toString(Hex).substring(0, 16);
   
   // Use the Scope3 API domain as part of the key
-  const apiUrl = new URL(config.SCOPE3_API_ENDPOINT);
-  return `${apiUrl.hostname}:${requestHash}`;
-}
-
-function injectIntoHead(html, scriptToInject) {
-  // Find the head tag with any attributes
-  const headMatch = html.match(/\<head(\s+[^>]*)?\>/i);
-
-  if (headMatch) {
-    const headTag = headMatch[0];
-    const headPosition = headMatch.index + headTag.length;
-
-    // Insert after the complete head tag
-    return html.slice(0, headPosition) + scriptToInject + html.slice(headPosition);
-  }
-
-  // Fallback if no head tag found
-  return html;
+  const apiUrl = new URL(getApiEndpoint(env));
+  return `${apiUrl.hostname}:${scope}:${requestHash}`;
 }
 
 /**
- * Insert Scope3 segments into the HTML
- * @param {string} html - The HTML content
- * @param {Array} segments - The segments to inject
- * @returns {string} - The modified HTML
+ * Register the injection of Scope3 segments into the HTML as it streams through
+ *
+ * Besides `window.scope3.segments`, the script defines a `window.scope3.ready`
+ * promise. It resolves immediately when segments are known, or polls the
+ * late-binding endpoint when the API call is still in flight. Targeting adapters
+ * can follow to push the segments into Prebid.js and GPT. Sites can rename
+ * `window.scope3` with INJECTION_VARIABLE. `window.scope3.sources` has the
+ * segments each provider contributed, by provider name.
+ * @param {HTMLRewriter} rewriter - The rewriter the page will be streamed through
+ * @param {Object} structuredSegments - The segments to inject
+ * @param {Object} options - Injection options
+ * @param {Object} [options.sources] - The segments of each provider
+ * @param {string} [options.source] - Where the segments came from when not from the providers (`fallback`)
+ * @param {string} [options.pendingSegmentsUrl] - Endpoint to poll for segments that are still being fetched
+ * @param {string} [options.nonce] - CSP nonce for the injected script
+ * @param {string} [options.variableName] - The global to put the segments on (default: `scope3`)
+ * @param {Array<string>} [options.adapters] - Targeting adapters to add (`prebid`, `gpt`)
+ * @returns {HTMLRewriter} - The rewriter, with a handler injecting the segments into <head>
  */
-function insertScope3Segments(html, baseUrl, structuredSegments) {
+function insertScope3Segments(rewriter, structuredSegments, { sources, source, pendingSegmentsUrl, nonce, variableName = config.DEFAULT_INJECTION_VARIABLE, adapters = [] } = {}) {
   // Ensure we have a valid segments object, even if API failed
   const segments = structuredSegments || { global: [] };
+  const target = `window.${variableName}`;
   
   // Create the script to be injected with structured segments format
-  var scriptToInject = `<script>
-  window.scope3 = window.scope3 || {};
-  window.scope3.segments = ${JSON.stringify(segments)};
+  // (slot ids come from page markup, so keep "</script>" out of the JSON)
+  var scriptToInject = `<script${nonce ? ` nonce="${nonce}"` : ''}>
+  ${target} = ${target} || {};
+  ${target}.segments = ${JSON.stringify(segments).replace(/</g, '\\u003c')};
+  ${target}.sources = ${JSON.stringify(sources || {}).replace(/</g, '\\u003c')};${source ? `
+  ${target}.source = ${JSON.stringify(source)};` : ''}
+  ${pendingSegmentsUrl ? buildLateBindingLoader(pendingSegmentsUrl, target) : `${target}.ready = Promise.resolve(${target}.segments);`}
+  ${buildAdapterScripts(adapters, target)}
 </script>`;
-  if (baseUrl) {
-    scriptToInject += `<base href=${baseUrl}/>`
-  }
 
-  return injectIntoHead(html, scriptToInject)
+  // Insert right after the opening head tag, only for the first one in the document
+  let injected = false;
+  return rewriter
+    .on('head', {
+      element(element) {
+        if (!injected) {
+          element.prepend(scriptToInject, { html: true });
+          injected = true;
+        }
+      }
+    });
 }
 
 /**
- * Extract title from HTML
- * @param {string} html - The HTML content
- * @returns {string} - The extracted title or empty string
+ * Build the loader that polls the late-binding endpoint until segments arrive
+ *
+ * The late segments are merged into the ones injected with the page, which hold
+ * the levels that answered in time.
+ * @param {string} segmentsUrl - Absolute URL of the segments endpoint, including the keys of the pending levels
+ * @param {string} target - The global holding the segments, e.g. `window.scope3`
+ * @returns {string} - JavaScript that assigns `<target>.ready`
  */
-function extractTitle(html) {
-  const titleMatch = html.match(/<title>([^<]*)<\/title>/i);
-  return titleMatch ? titleMatch[1].trim() : '';
+function buildLateBindingLoader(segmentsUrl, target) {
+  return `${target}.ready = new Promise(function (resolve) {
+    var attempts = 0;
+    function merge(segments, lateSegments) {
+      var merged = {};
+      [segments, lateSegments].forEach(function (source) {
+        Object.keys(source || {}).forEach(function (slotId) {
+          merged[slotId] = merged[slotId] || [];
+          source[slotId].forEach(function (id) {
+            if (merged[slotId].indexOf(id) === -1) merged[slotId].push(id);
+          });
+        });
+      });
+      return merged;
+    }
+    function poll() {
+      fetch(${JSON.stringify(segmentsUrl)}, { credentials: 'omit', cache: 'no-store' })
+        .then(function (r) { return r.status === 200 ? r.json() : null; })
+        .catch(function () { return null; })
+        .then(function (segments) {
+          if (segments) {
+            ${target}.segments = merge(${target}.segments, segments);
+            resolve(${target}.segments);
+          } else if (++attempts < ${config.LATE_BINDING_MAX_POLLS}) {
+            setTimeout(poll, ${config.LATE_BINDING_POLL_INTERVAL});
+          } else {
+            resolve(${target}.segments);
+          }
+        });
+    }
+    setTimeout(poll, ${config.LATE_BINDING_POLL_INTERVAL});
+  });`;
 }
 
 /**
- * Extract description from HTML
- * @param {string} html - The HTML content
- * @returns {string} - The extracted description or empty string
+ * Read the start of a page and remember the ad slots and content found in it
+ * @param {ReadableStream} body - A copy of the page body
+ * @param {URL} pageUrl - The canonical URL of the page
+ * @param {Object} env - Environment variables and bindings
+ * @param {Object} options - Scan options
+ * @param {boolean} options.discoverPageSlots - Look for ad slots
+ * @param {boolean} options.extractPageContent - Extract the page content
+ * @param {Object} [options.refresh] - The page-level `apiRequest` and `cacheKey` to refresh with the content
+ * @param {Object} [options.enrich] - The page-level `apiRequest`, `cacheKey` and provider `result` to add AI categories to
+ * @returns {Promise<void>}
  */
-function extractDescription(html) {
-  const descMatch = html.match(/<meta[^>]*name=["']description["'][^>]*content=["']([^"']*)["'][^>]*>/i)
-                  || html.match(/<meta[^>]*content=["']([^"']*)["'][^>]*name=["']description["'][^>]*>/i);
-  return descMatch ? descMatch[1].trim() : '';
+async function scanPage(body, pageUrl, env, { discoverPageSlots, extractPageContent, refresh, enrich }) {
+  let html;
+  try {
+    html = await readPageStart(body, config.MAX_PAGE_SCAN_BYTES);
+  } catch (error) {
+    log.error(`[CONTENT] Error reading page for scanning: ${error}`);
+    return;
+  }
+
+  if (discoverPageSlots) {
+    rememberPageSlots(pageUrl, discoverSlots(html));
+  }
+
+  if (extractPageContent) {
+    const content = extractContent(html);
+    rememberPageContent(pageUrl, content);
+
+    let refreshed = null;
+    if (refresh) {
+      log.info(`[CONTENT] Refreshing page-level segments with the extracted content for ${loggableUrl(pageUrl)}`);
+      refreshed = await refreshSegments(applyPageContent(structuredClone(refresh.apiRequest), content), refresh.cacheKey, env);
+    }
+
+    if (enrich) {
+      // Overwrites the entry the lookup (or refresh) just stored with the same segments plus the model's
+      const aiSegments = await classifyWithAi(content, pageUrl, env);
+      const result = refreshed || enrich.result;
+      if (aiSegments) {
+        await cacheSegments(enrich.cacheKey, {
+          segments: mergeSegments(result.segments, aiSegments),
+          sources: { ...result.sources, ai: aiSegments }
+        }, env, enrich.apiRequest);
+      }
+    }
+  }
+}
+
+/**
+ * Read a body stream as text, up to a size limit
+ * @param {ReadableStream} body - The body stream
+ * @param {number} maxBytes - Stop (and cancel the stream) after this many bytes
+ * @returns {Promise<string>} - The text read
+ */
+async function readPageStart(body, maxBytes) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let html = '';
+  let bytesRead = 0;
+
+  while (bytesRead < maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) {
+      return html + decoder.decode();
+    }
+    const chunk = typeof value === 'string' ? new TextEncoder().encode(value) : value;
+    bytesRead += chunk.byteLength;
+    html += decoder.decode(chunk, { stream: true });
+  }
+
+  await reader.cancel();
+  return html;
 }
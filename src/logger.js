@@ -0,0 +1,180 @@
+/**
+ * Scope3 Segments Worker Logger
+ *
+ * Everything the worker logs goes through `log.debug`, `log.info`, `log.warn`
+ * and `log.error`, with the message first and optional details after it:
+ *
+ * - LOG_LEVEL: `debug`, `info`, `warn`, `error` or `silent` (default: `info`)
+ * - LOG_DEBUG_SAMPLE_RATE: with LOG_LEVEL = "debug", the fraction of requests
+ *   whose debug lines (full OpenRTB requests and responses, identity details)
+ *   are written (default: config.DEFAULT_LOG_DEBUG_SAMPLE_RATE)
+ *
+ * Each request gets its own settings and sampling decision (see runWithLogger),
+ * kept in the request's async context so concurrent requests in an isolate
+ * don't affect each other. They come from the worker's env and are re-applied
+ * from the site's env once the site is known (see configureLogger).
+ *
+ * Details are written as JSON after being redacted by field name:
+ *
+ * - identifiers (EID and user IDs, ID envelopes and tokens, cookies) are replaced
+ *   by a short SHA-256 hash, so one ID can still be followed across lines
+ * - IP addresses are truncated (IPv4 to /24, IPv6 to /48)
+ * - precise geo is coarsened: lat/lon rounded to 0.1° (about 10km), postal codes removed
+ *
+ * Messages are written as is, so they must not interpolate any of these. URLs
+ * go through loggableUrl, as their query strings may carry click IDs and other
+ * identifiers.
+ */
+
+import * as config from './config.js';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import SHA256 from 'crypto-js/sha256.js';
+import Hex from 'crypto-js/enc-hex.js';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+export const LOG_LEVEL_NAMES = Object.keys(LEVELS);
+
+// Fields redacted wherever they appear, by lowercased name
+const HASHED_FIELDS = ['buyeruid', 'envelope', 'universal_uid', 'id5id', 'advertising_token', 'uid2', 'sharedid', 'cookie', 'signature'];
+const IP_FIELDS = ['ip', 'ipv6', 'cf-connecting-ip', 'x-forwarded-for', 'x-real-ip', 'true-client-ip'];
+const COORDINATE_FIELDS = ['lat', 'lon', 'latitude', 'longitude'];
+const POSTAL_CODE_FIELDS = ['zip', 'postalcode', 'postal_code'];
+
+// The settings of the request being handled, see runWithLogger
+const requestSettings = new AsyncLocalStorage();
+
+// Used outside of a request
+const DEFAULT_SETTINGS = { minLevel: LEVELS[config.DEFAULT_LOG_LEVEL], debugSampled: false };
+
+export const log = {
+  debug: (message, ...details) => write('debug', message, details),
+  info: (message, ...details) => write('info', message, details),
+  warn: (message, ...details) => write('warn', message, details),
+  error: (message, ...details) => write('error', message, details)
+};
+
+/**
+ * Handle a request with its own logging settings
+ * @param {Object} env - Environment variables and bindings
+ * @param {Function} handler - Handles the request; everything it logs, including background work it starts, uses these settings
+ * @returns {*} - What the handler returns
+ */
+export function runWithLogger(env, handler) {
+  // One draw per request, so re-applying the settings keeps the sampling decision
+  const settings = { sample: Math.random() };
+  applySettings(settings, env);
+  return requestSettings.run(settings, handler);
+}
+
+/**
+ * Re-apply LOG_LEVEL and LOG_DEBUG_SAMPLE_RATE for the current request, e.g. from the site's env
+ * @param {Object} env - Environment variables and bindings
+ * @returns {void}
+ */
+export function configureLogger(env) {
+  const settings = requestSettings.getStore();
+  if (settings) {
+    applySettings(settings, env);
+  }
+}
+
+/**
+ * Redact identifiers, IP addresses and precise geo from a value
+ * @param {*} value - Any JSON-serializable value
+ * @returns {*} - A redacted copy
+ */
+export function redact(value) {
+  return redactField(value, null, null);
+}
+
+/**
+ * Reduce a URL to its origin and path for logging
+ * @param {URL|string} url - The URL, absolute or not
+ * @returns {string} - The URL without its query string and fragment
+ */
+export function loggableUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.origin}${parsed.pathname}`;
+  } catch (error) {
+    return String(url).split(/[?#]/)[0];
+  }
+}
+
+/**
+ * Hash an identifier for logging
+ * @param {*} value - The identifier (objects are hashed as JSON)
+ * @returns {string} - e.g. `sha256:3fa2b1c09d4e`
+ */
+export function hashIdentifier(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return `sha256:${SHA256(text).toString(Hex).substring(0, 12)}`;
+}
+
+function applySettings(settings, env) {
+  const level = (env.LOG_LEVEL || config.DEFAULT_LOG_LEVEL).toLowerCase();
+  settings.minLevel = LEVELS[level] ?? LEVELS[config.DEFAULT_LOG_LEVEL];
+  const sampleRate = parseFloat(env.LOG_DEBUG_SAMPLE_RATE ?? config.DEFAULT_LOG_DEBUG_SAMPLE_RATE);
+  settings.debugSampled = settings.minLevel <= LEVELS.debug && settings.sample < sampleRate;
+}
+
+function write(level, message, details) {
+  const { minLevel, debugSampled } = requestSettings.getStore() || DEFAULT_SETTINGS;
+  if (LEVELS[level] < minLevel || (level === 'debug' && !debugSampled)) {
+    return;
+  }
+  const output = [message, ...details.map(detail =>
+    (detail !== null && typeof detail === 'object' ? JSON.stringify(redact(detail), null, 2) : detail))];
+  if (level === 'error') {
+    console.error(...output);
+  } else if (level === 'warn') {
+    console.warn(...output);
+  } else {
+    console.log(...output);
+  }
+}
+
+/**
+ * Redact a value found under a field
+ * @param {*} value - The value
+ * @param {string|null} name - The field's lowercased name
+ * @param {string|null} parent - The lowercased name of the field holding it
+ * @returns {*} - The redacted value
+ */
+function redactField(value, name, parent) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  // EID uids and the OpenRTB user's own IDs
+  if (HASHED_FIELDS.includes(name) || (name === 'id' && (parent === 'uids' || parent === 'user'))) {
+    return hashIdentifier(value);
+  }
+  if (IP_FIELDS.includes(name)) {
+    return String(value).split(',').map(address => truncateIp(address.trim())).join(', ');
+  }
+  if (COORDINATE_FIELDS.includes(name)) {
+    const coordinate = Number(value);
+    return Number.isFinite(coordinate) ? Math.round(coordinate * 10) / 10 : '[redacted]';
+  }
+  if (POSTAL_CODE_FIELDS.includes(name)) {
+    return '[redacted]';
+  }
+
+  if (Array.isArray(value)) {
+    // Array items are judged by the field holding the array
+    return value.map(item => redactField(item, name, parent));
+  }
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+      [key, redactField(item, key.toLowerCase(), name)]));
+  }
+  return value;
+}
+
+function truncateIp(address) {
+  if (address.includes(':')) {
+    return `${address.split(':').slice(0, 3).join(':')}::`;
+  }
+  const octets = address.split('.');
+  return octets.length === 4 ? `${octets.slice(0, 3).join('.')}.0` : '[redacted]';
+}
@@ -0,0 +1,137 @@
+/**
+ * Scope3 Segments Worker Request Metrics
+ *
+ * One structured event per pageview the worker handles (not the late-binding
+ * endpoint or the admin API), describing what happened:
+ *
+ * - host, outcome (`injected`, `skipped`, `bot`, `disabled` or `error`)
+ * - cache status of the page-level and user-level lookups (`hit`, `stale`, `miss`, `none`)
+ * - API outcome (`ok`, `partial`, `error`, `late`, `none`), latency and error reason,
+ *   e.g. `scope3=timeout` or `deadline` when the segments were delivered late
+ * - the source (`providers`, `fallback`, `none`) and number of segments injected
+ * - device type and bot decision
+ *
+ * Events are written to the Workers Analytics Engine dataset bound as METRICS,
+ * laid out as in DATA_POINT_BLOBS and DATA_POINT_DOUBLES and indexed by host.
+ * Without the binding (local development, tests) they are logged with a
+ * `[METRICS]` line and the last MAX_RECORDED_EVENTS are kept in the isolate.
+ */
+
+import * as config from './config.js';
+import { log } from './logger.js';
+
+// Analytics Engine columns: blob1..blobN and double1..doubleN in this order
+export const DATA_POINT_BLOBS = ['host', 'outcome', 'cache', 'userCache', 'api', 'errorReason', 'deviceType', 'bot', 'source'];
+export const DATA_POINT_DOUBLES = ['apiLatency', 'segmentCount', 'duration', 'botScore', 'originLatency', 'cacheReadLatency'];
+
+// OpenRTB device.devicetype values the worker sends
+const DEVICE_TYPES = { 1: 'mobile', 2: 'desktop', 5: 'tablet' };
+
+// Events recorded without an Analytics Engine binding, oldest first
+const recordedEvents = [];
+
+/**
+ * Start the event for a request
+ * @returns {Object} - The event, filled in while the request is handled; it is only recorded once it has an `outcome`
+ */
+export function createRequestEvent() {
+  return {
+    startTime: Date.now(),
+    host: '',
+    outcome: null,
+    cache: 'none',
+    userCache: 'none',
+    api: 'none',
+    errorReason: '',
+    deviceType: 'unknown',
+    bot: 'unknown',
+    botScore: 0,
+    source: 'none',
+    segmentCount: 0,
+    // Durations in ms, null if the step didn't happen
+    originLatency: null,
+    cacheReadLatency: null,
+    apiLatency: null
+  };
+}
+
+/**
+ * Fill in an event from a segment lookup
+ * @param {Object} event - The event from createRequestEvent
+ * @param {Object} lookup - The result of the lookup, with its `pageRequest` and the `page` and `user` level results
+ * @returns {void}
+ */
+export function recordLookup(event, lookup) {
+  event.deviceType = DEVICE_TYPES[lookup.pageRequest?.device?.devicetype] || 'other';
+  event.cache = lookup.page?.cacheStatus || 'none';
+  event.userCache = lookup.user?.cacheStatus || 'none';
+  event.cacheReadLatency = Math.max(lookup.page?.cacheReadLatency || 0, lookup.user?.cacheReadLatency || 0);
+
+  const calls = [lookup.page?.apiCall, lookup.user?.apiCall].filter(Boolean);
+  if (calls.length === 0) {
+    return;
+  }
+
+  event.apiLatency = Math.max(...calls.map(call => call.latency));
+  const reasons = new Set(calls.flatMap(call => Object.entries(call.errors).map(([name, reason]) => `${name}=${reason}`)));
+  if (calls.some(call => call.late)) {
+    event.api = 'late';
+    reasons.add('deadline');
+  } else if (calls.every(call => call.complete)) {
+    event.api = 'ok';
+  } else {
+    event.api = calls.some(call => call.answered) ? 'partial' : 'error';
+  }
+  event.errorReason = [...reasons].join(',');
+}
+
+/**
+ * Count the distinct segment IDs in structured segments
+ * @param {Object|null} segments - Structured segments `{ global: [...], <slot>: [...] }`
+ * @returns {number} - The number of distinct IDs across all slots
+ */
+export function countSegments(segments) {
+  return new Set(Object.values(segments || {}).flat()).size;
+}
+
+/**
+ * Record a finished request's event to the METRICS dataset, or in the isolate without it
+ * @param {Object} event - The event from createRequestEvent
+ * @param {Object} env - Environment variables and bindings
+ * @returns {void}
+ */
+export function recordRequestEvent(event, env) {
+  if (!event.outcome) {
+    return;
+  }
+  const { startTime, ...fields } = event;
+  fields.duration = Date.now() - startTime;
+
+  if (typeof env.METRICS?.writeDataPoint === 'function') {
+    try {
+      // writeDataPoint doesn't wait for the write, so it doesn't delay the response
+      env.METRICS.writeDataPoint({
+        blobs: DATA_POINT_BLOBS.map(name => String(fields[name] ?? '')),
+        doubles: DATA_POINT_DOUBLES.map(name => Number(fields[name]) || 0),
+        indexes: [fields.host]
+      });
+    } catch (error) {
+      log.error(`[METRICS] Error writing data point: ${error}`);
+    }
+    return;
+  }
+
+  log.info(`[METRICS] ${Object.entries(fields).map(([name, value]) => `${name}=${value}`).join(' ')}`);
+  if (recordedEvents.length >= config.MAX_RECORDED_EVENTS) {
+    recordedEvents.shift();
+  }
+  recordedEvents.push(fields);
+}
+
+/**
+ * Get the events recorded in this isolate without an Analytics Engine binding
+ * @returns {Array<Object>} - The events, oldest first
+ */
+export function getRecordedEvents() {
+  return recordedEvents.map(event => ({ ...event }));
+}
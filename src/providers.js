@@ -0,0 +1,445 @@
+/**
+ * Scope3 Segments Worker Segment Providers
+ *
+ * A provider turns the OpenRTB request into segments. It has a `name` and two
+ * methods:
+ *
+ * - `buildRequest(apiRequest, env)` returns the HTTP request to make as
+ *   `{ url, headers, body }`, or null for providers that answer locally
+ * - `parseResponse(data, apiRequest, env)` turns the parsed JSON response (null
+ *   for local providers) into structured segments `{ global: [...], <slot>: [...] }`,
+ *   or returns null if the response is an error
+ *
+ * Providers that make network calls also have `endpoint(env)`, the URL they
+ * call, which identifies their circuit breaker (see breaker.js).
+ *
+ * The providers come from the SEGMENT_PROVIDERS env var, a JSON list (string or
+ * binding) of provider configs; the default is the Scope3 RTII endpoint alone:
+ *
+ * [
+ *   { "type": "scope3" },
+ *   { "type": "openrtb", "name": "acme", "endpoint": "https://rtd.acme.example/segments",
+ *     "headers": { "Authorization": "Bearer ${ACME_TOKEN}" } },
+ *   { "type": "static", "name": "rules", "rules": [{ "paths": ["/sports/**"], "segments": ["sports"] }] }
+ * ]
+ *
+ * `${NAME}` in header values is replaced with the env var NAME, so keys can be
+ * kept in secrets. All providers are called in parallel with one shared
+ * deadline, and their segments are merged per slot. Which provider returned
+ * what is kept in `sources`, by provider name.
+ */
+
+import * as config from './config.js';
+import { globToRegExp } from './rules.js';
+import { isCircuitBreakerEnabled, allowCall, recordCall, getCircuitState } from './breaker.js';
+import { fetchWithHedging } from './hedging.js';
+import { log } from './logger.js';
+
+// Providers built from SEGMENT_PROVIDERS, by the raw value they came from (one per site)
+const parsedProviders = new Map();
+
+// Provider factories by config `type`
+const PROVIDER_TYPES = {
+  scope3: createScope3Provider,
+  openrtb: createOpenRtbProvider,
+  static: createStaticProvider
+};
+
+/**
+ * Call every configured provider with a shared deadline and merge their segments
+ * @param {Object} apiRequest - The OpenRTB request object
+ * @param {Object} env - Environment variables and bindings
+ * @param {number} [timeout] - Abort all calls after this many ms (defaults to API_TIMEOUT)
+ * @returns {Promise<Object>} - The merged `segments` (null if every provider failed), the segments
+ *   of each provider in `sources`, whether every provider answered (`complete`), why the others
+ *   failed in `errors` (by provider name, e.g. `timeout` or `http_502`), the HTTP `responses` (by provider
+ *   name, `{ status, body }` with the parsed JSON or the raw text) and the call's `latency` (ms)
+ */
+export async function callSegmentProviders(apiRequest, env, timeout) {
+  const providers = getSegmentProviders(env);
+
+  // Set up one deadline for all providers using AbortController
+  const apiTimeout = timeout || parseInt(env.API_TIMEOUT || config.DEFAULT_API_TIMEOUT);
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), apiTimeout);
+  const startTime = Date.now();
+
+  log.debug(`[API] Sending OpenRTB request:`, apiRequest);
+
+  const results = await Promise.all(providers.map(provider => callProvider(provider, apiRequest, env, controller.signal)));
+  clearTimeout(timeoutId);
+  const latency = Date.now() - startTime;
+
+  const sources = {};
+  const errors = {};
+  const responses = {};
+  providers.forEach((provider, i) => {
+    if (results[i].segments) {
+      sources[provider.name] = results[i].segments;
+    } else {
+      errors[provider.name] = results[i].error;
+    }
+    if (results[i].response) {
+      responses[provider.name] = results[i].response;
+    }
+  });
+
+  const answered = Object.values(sources);
+  const segments = answered.length > 0 ? mergeSegments(...answered) : null;
+  if (segments && Object.keys(segments).length === 1 && segments.global.length === 0) {
+    log.info(`[SEGMENTS] No segments found in provider responses`);
+  } else if (segments) {
+    log.debug(`[SEGMENTS] Structured segments:`, segments);
+  }
+
+  return { segments, sources, complete: answered.length === providers.length, errors, responses, latency };
+}
+
+/**
+ * Get the providers for this environment
+ * @param {Object} env - Environment variables and bindings
+ * @returns {Array<Object>} - The providers, in configuration order
+ */
+export function getSegmentProviders(env) {
+  const source = env.SEGMENT_PROVIDERS;
+  if (parsedProviders.has(source)) {
+    return parsedProviders.get(source);
+  }
+
+  let providerConfigs = [{ type: 'scope3' }];
+  if (source) {
+    try {
+      const parsed = typeof source === 'string' ? JSON.parse(source) : source;
+      if (!Array.isArray(parsed) || parsed.length === 0) {
+        throw new Error('expected a non-empty list of providers');
+      }
+      providerConfigs = parsed;
+    } catch (error) {
+      log.error(`[PROVIDERS] Invalid SEGMENT_PROVIDERS, using the Scope3 API: ${error.message}`);
+    }
+  }
+
+  const providers = [];
+  for (const providerConfig of providerConfigs) {
+    const factory = PROVIDER_TYPES[providerConfig?.type];
+    if (!factory) {
+      log.error(`[PROVIDERS] Ignoring provider with unknown type "${providerConfig?.type}"`);
+      continue;
+    }
+    const provider = factory(providerConfig);
+    if (providers.some(existing => existing.name === provider.name)) {
+      log.error(`[PROVIDERS] Ignoring duplicate provider name "${provider.name}"`);
+      continue;
+    }
+    providers.push(provider);
+  }
+  if (providers.length === 0) {
+    providers.push(createScope3Provider({}));
+  }
+
+  if (parsedProviders.size >= config.MAX_SITE_CONFIGS) {
+    parsedProviders.delete(parsedProviders.keys().next().value);
+  }
+  parsedProviders.set(source, providers);
+  return providers;
+}
+
+/**
+ * Get the Scope3 API endpoint from environment or use the default
+ * @param {Object} env - Environment variables and bindings
+ * @returns {string} - The endpoint URL
+ */
+export function getApiEndpoint(env) {
+  return env.SCOPE3_API_ENDPOINT || config.SCOPE3_API_ENDPOINT;
+}
+
+/**
+ * Merge structured segments objects, combining the segments for each slot
+ * @param {...Object} segmentObjects - Structured segments objects
+ * @returns {Object} - A structured segments object with the union of segments per slot
+ */
+export function mergeSegments(...segmentObjects) {
+  const merged = { global: [] };
+  for (const segments of segmentObjects) {
+    for (const [slotId, ids] of Object.entries(segments || {})) {
+      merged[slotId] = [...new Set([...(merged[slotId] || []), ...ids])];
+    }
+  }
+  return merged;
+}
+
+/**
+ * Merge the per-provider segments of several lookups
+ * @param {...Object} sourceObjects - Objects mapping provider names to structured segments
+ * @returns {Object} - The merged segments of each provider
+ */
+export function mergeSources(...sourceObjects) {
+  const merged = {};
+  for (const sources of sourceObjects) {
+    for (const [name, segments] of Object.entries(sources || {})) {
+      merged[name] = mergeSegments(merged[name], segments);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Get the circuit breaker state of each provider that makes network calls
+ * @param {Object} env - Environment variables and bindings
+ * @returns {Object} - `closed`, `open` or `half-open` by provider name (empty if the breaker is disabled)
+ */
+export function getCircuitStates(env) {
+  if (!isCircuitBreakerEnabled(env)) {
+    return {};
+  }
+  return Object.fromEntries(getSegmentProviders(env)
+    .filter(provider => provider.endpoint)
+    .map(provider => [provider.name, getCircuitState(provider.name, provider.endpoint(env), env)]));
+}
+
+/**
+ * Call one provider, unless its circuit breaker is open
+ * @param {Object} provider - The provider
+ * @param {Object} apiRequest - The OpenRTB request object
+ * @param {Object} env - Environment variables and bindings
+ * @param {AbortSignal} signal - Aborted at the shared deadline
+ * @returns {Promise<Object>} - The provider's structured `segments`, or null and the `error` reason if it failed or was skipped,
+ *   and the HTTP `response` if one was received
+ */
+async function callProvider(provider, apiRequest, env, signal) {
+  let request;
+  try {
+    request = provider.buildRequest(apiRequest, env);
+    if (!request) {
+      const segments = provider.parseResponse(null, apiRequest, env);
+      return { segments, error: segments ? null : 'api_error' };
+    }
+  } catch (error) {
+    log.error(`[API] Error getting segments from ${provider.name}: ${error}`);
+    return { segments: null, error: 'request_error' };
+  }
+
+  const useBreaker = isCircuitBreakerEnabled(env);
+  const ticket = useBreaker ? allowCall(provider.name, request.url, env) : null;
+  if (useBreaker && !ticket) {
+    return { segments: null, error: 'circuit_open' };
+  }
+
+  const startTime = Date.now();
+  const { segments, serverError, error, response } = await fetchProvider(provider, request, apiRequest, env, signal);
+
+  // Calls slower than the page deadline count as failures even if they answered
+  if (useBreaker) {
+    const inTime = Date.now() - startTime <= parseInt(env.API_TIMEOUT || config.DEFAULT_API_TIMEOUT);
+    recordCall(provider.name, request.url, ticket, segments !== null && !serverError && inTime, env);
+  }
+  return { segments, error, response };
+}
+
+/**
+ * Make a provider's HTTP request and parse the response
+ * @param {Object} provider - The provider
+ * @param {Object} request - The request from the provider's buildRequest
+ * @param {Object} apiRequest - The OpenRTB request object
+ * @param {Object} env - Environment variables and bindings
+ * @param {AbortSignal} signal - Aborted at the shared deadline
+ * @returns {Promise<Object>} - The structured `segments` (null and the `error` reason if the call failed), whether the endpoint
+ *   answered with a `serverError`, and the `response` received as `{ status, body }` (null if there was none)
+ */
+async function fetchProvider(provider, request, apiRequest, env, signal) {
+  try {
+    const startTime = Date.now();
+    const response = await fetchWithHedging(provider.name, request.url, {
+      method: 'POST',
+      headers: request.headers,
+      body: request.body,
+      signal
+    }, env);
+    log.info(`[TIMING] ${provider.name} call took ${Date.now() - startTime}ms`);
+    const serverError = response.status >= 500;
+    const httpError = response.status >= 400 ? `http_${response.status}` : null;
+
+    // Get the response text and try to parse it as JSON
+    const responseText = await response.text();
+    let data;
+    try {
+      data = JSON.parse(responseText);
+      log.debug(`[API] ${provider.name} response:`, data);
+    } catch (parseError) {
+      log.error(`[API] ${provider.name} JSON parse error: ${parseError.message}`);
+      const body = responseText.substring(0, config.MAX_LOGGED_RESPONSE_CHARS);
+      log.debug(`[API] Response body: ${body}`);
+      return { segments: null, serverError, error: httpError || 'invalid_response', response: { status: response.status, body } }; // Return null to prevent caching
+    }
+
+    const segments = provider.parseResponse(data, apiRequest, env);
+    return { segments, serverError, error: segments ? null : httpError || 'api_error', response: { status: response.status, body: data } };
+  } catch (error) {
+    log.error(`[API] Error getting segments from ${provider.name}: ${error}`);
+    return { segments: null, serverError: false, error: signal.aborted ? 'timeout' : 'network_error', response: null };
+  }
+}
+
+/**
+ * The Scope3 Real-Time Inventory Intelligence API
+ * @param {Object} options - `name` (default: `scope3`)
+ * @returns {Object} - The provider
+ */
+export function createScope3Provider(options) {
+  return {
+    name: options.name || 'scope3',
+
+    endpoint(env) {
+      return getApiEndpoint(env);
+    },
+
+    buildRequest(apiRequest, env) {
+      const apiKey = env.SCOPE3_API_KEY || config.TEST_API_KEY;
+      return {
+        url: this.endpoint(env),
+        headers: {
+          'Content-Type': 'application/json',
+          'x-scope3-auth': `${apiKey}`
+        },
+        body: JSON.stringify(apiRequest)
+      };
+    },
+
+    parseResponse(data, apiRequest) {
+      // Check for API error responses and don't cache them
+      if (!data || data.error) {
+        log.error(`[API] API returned error: ${data?.error}`);
+        return null;
+      }
+
+      const structuredSegments = { global: [] };
+
+      // The API may answer with just the imp.id, so map ids back to the slots we sent
+      const tagidsByImpId = getTagidsByImpId(apiRequest);
+
+      // Parse slot-specific segments from the impressions of each destination
+      if (Array.isArray(data.data)) {
+        data.data.forEach(destination => {
+          (Array.isArray(destination.imp) ? destination.imp : []).forEach(impression => {
+            if (impression.ext && impression.ext.scope3 && impression.ext.scope3.segments) {
+              // Add to slot-specific collection using tagid or imp.id as fallback
+              const slotId = impression.tagid || tagidsByImpId[impression.id] || impression.id;
+              if (slotId) {
+                structuredSegments[slotId] = impression.ext.scope3.segments.map(segment => segment.id);
+              }
+            }
+          });
+        });
+      }
+
+      return structuredSegments;
+    }
+  };
+}
+
+/**
+ * A generic OpenRTB-style real-time data endpoint
+ *
+ * The OpenRTB request is POSTed as is. Segments are read from the response's
+ * `user.data[].segment[]` and `site.content.data[].segment[]` (global) and
+ * `imp[].ext.segments` (per slot, by `tagid` or `id`), as ids or `{ id }` objects.
+ * @param {Object} options - `name`, `endpoint` and optional `headers`
+ * @returns {Object} - The provider
+ */
+export function createOpenRtbProvider(options) {
+  return {
+    name: options.name || 'openrtb',
+
+    endpoint() {
+      return options.endpoint;
+    },
+
+    buildRequest(apiRequest, env) {
+      const headers = { 'Content-Type': 'application/json' };
+      for (const [name, value] of Object.entries(options.headers || {})) {
+        headers[name] = String(value).replace(/\$\{(\w+)\}/g, (match, variable) => env[variable] || '');
+      }
+      return { url: this.endpoint(env), headers, body: JSON.stringify(apiRequest) };
+    },
+
+    parseResponse(data, apiRequest) {
+      if (!data || data.error) {
+        log.error(`[API] ${this.name} returned error: ${data?.error}`);
+        return null;
+      }
+
+      const segmentIds = segments => (Array.isArray(segments) ? segments : [])
+        .map(segment => (typeof segment === 'object' ? segment?.id : segment))
+        .filter(id => id !== undefined && id !== null && id !== '')
+        .map(String);
+
+      const dataSegments = [...(data.user?.data || []), ...(data.site?.content?.data || [])]
+        .flatMap(entry => segmentIds(entry?.segment));
+      const structuredSegments = { global: [...new Set(dataSegments)] };
+
+      const tagidsByImpId = getTagidsByImpId(apiRequest);
+      for (const impression of Array.isArray(data.imp) ? data.imp : []) {
+        const slotId = impression.tagid || tagidsByImpId[impression.id] || impression.id;
+        const ids = segmentIds(impression.ext?.segments);
+        if (slotId && ids.length > 0) {
+          structuredSegments[slotId] = ids;
+        }
+      }
+
+      return structuredSegments;
+    }
+  };
+}
+
+/**
+ * Segments from static path rules, without a network call
+ *
+ * Every rule whose path globs match the page contributes its segments, globally
+ * or, with `slots`, to those slots only.
+ * @param {Object} options - `name` and `rules`: `[{ paths, segments, slots? }]`
+ * @returns {Object} - The provider
+ */
+export function createStaticProvider(options) {
+  const rules = (Array.isArray(options.rules) ? options.rules : []).map(rule => ({
+    patterns: (rule.paths || ['/**']).map(globToRegExp),
+    segments: (rule.segments || []).map(String),
+    slots: rule.slots || ['global']
+  }));
+
+  return {
+    name: options.name || 'static',
+
+    buildRequest() {
+      return null;
+    },
+
+    parseResponse(data, apiRequest) {
+      let path;
+      try {
+        path = new URL(apiRequest.site?.page).pathname;
+      } catch (error) {
+        // User-level requests have no page, so no path rule can match
+        return { global: [] };
+      }
+
+      const structuredSegments = { global: [] };
+      for (const rule of rules) {
+        if (rule.patterns.some(pattern => pattern.test(path))) {
+          for (const slotId of rule.slots) {
+            structuredSegments[slotId] = [...new Set([...(structuredSegments[slotId] || []), ...rule.segments])];
+          }
+        }
+      }
+      return structuredSegments;
+    }
+  };
+}
+
+/**
+ * Map the imp ids of a request to the tagids of their slots
+ * @param {Object} apiRequest - The OpenRTB request object
+ * @returns {Object} - Tagids by imp id
+ */
+function getTagidsByImpId(apiRequest) {
+  return Object.fromEntries((apiRequest.imp || []).filter(imp => imp.tagid).map(imp => [imp.id, imp.tagid]));
+}
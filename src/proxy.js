@@ -0,0 +1,313 @@
+/**
+ * Scope3 Segments Worker Proxy Mode
+ *
+ * `/proxy/<URL>` fetches another site's page through the worker, for demos and
+ * testing without routing a zone to it. Because that makes the worker fetch URLs
+ * chosen by whoever sends the request, targets are restricted:
+ *
+ * - PROXY_ALLOWED_HOSTS: comma separated hostnames that may be proxied;
+ *   `*.example.com` matches subdomains and `*` any public host. Proxy mode is
+ *   disabled (404) when this is not set.
+ * - PROXY_ALLOWED_SCHEMES: comma separated URL schemes (default: `https`)
+ * - only the scheme's default port, no credentials in the URL, and never
+ *   loopback, private, link-local or otherwise internal hosts or IP addresses
+ *
+ * The target keeps the proxy request's query string. The client's cookies and
+ * credentials are not forwarded. Redirects are not followed: their Location is
+ * rewritten to stay in the proxy. In the page, links, forms and frames pointing
+ * at allowed hosts are rewritten to go through the proxy, and resource URLs
+ * (src, srcset, stylesheets) are made absolute so they load from the site.
+ *
+ * Hostnames are not resolved, so an allowed hostname whose DNS points at an
+ * internal address is not detected; only allow hosts you trust.
+ */
+
+import * as config from './config.js';
+import { log, loggableUrl } from './logger.js';
+
+// Attributes that navigate, by element: rewritten to go through the proxy
+const NAVIGATION_ATTRIBUTES = {
+  a: 'href',
+  area: 'href',
+  form: 'action',
+  iframe: 'src'
+};
+
+// Attributes that load resources, by element: made absolute
+const RESOURCE_ATTRIBUTES = {
+  img: ['src', 'srcset'],
+  source: ['src', 'srcset'],
+  script: ['src'],
+  link: ['href'],
+  video: ['src', 'poster'],
+  audio: ['src'],
+  track: ['src'],
+  embed: ['src'],
+  input: ['src']
+};
+
+/**
+ * Check whether a request is for proxy mode
+ * @param {URL} url - The request URL
+ * @returns {boolean} - True for `/proxy/...` paths
+ */
+export function isProxyRequest(url) {
+  return url.pathname.startsWith(config.PROXY_PATH_PREFIX);
+}
+
+/**
+ * Get the target of a proxy request, if it may be proxied
+ * @param {URL} url - The request URL, `/proxy/<target URL>` with an optional query string
+ * @param {Object} env - Environment variables and bindings
+ * @returns {Object} - The `target` URL, or the `status` and `error` to reject the request with
+ */
+export function parseProxyRequest(url, env) {
+  if (!env.PROXY_ALLOWED_HOSTS) {
+    return { status: 404, error: 'proxy mode is disabled' };
+  }
+
+  // Some clients collapse the "//" after the scheme in paths
+  const targetText = url.pathname.substring(config.PROXY_PATH_PREFIX.length).replace(/^([a-z][a-z0-9+.-]*):\/(?!\/)/i, '$1://');
+  let target;
+  try {
+    target = new URL(targetText + url.search);
+  } catch (error) {
+    return { status: 400, error: 'invalid target URL' };
+  }
+
+  if (target.host === url.host) {
+    return { status: 403, error: 'the target is this worker' };
+  }
+  const reason = checkProxyTarget(target, env);
+  return reason ? { status: 403, error: reason } : { target };
+}
+
+/**
+ * Check a URL against the proxy restrictions
+ * @param {URL} target - The URL to fetch
+ * @param {Object} env - Environment variables and bindings
+ * @returns {string|null} - Why the URL may not be proxied, or null if it may
+ */
+export function checkProxyTarget(target, env) {
+  const scheme = target.protocol.slice(0, -1);
+  const allowedSchemes = env.PROXY_ALLOWED_SCHEMES ?
+    env.PROXY_ALLOWED_SCHEMES.split(',').map(value => value.trim().toLowerCase()) :
+    config.DEFAULT_PROXY_ALLOWED_SCHEMES;
+  if (!allowedSchemes.includes(scheme) || !['http', 'https'].includes(scheme)) {
+    return `scheme ${scheme} is not allowed`;
+  }
+  if (target.username || target.password) {
+    return 'credentials in the URL are not allowed';
+  }
+  if (target.port) {
+    return `port ${target.port} is not allowed`;
+  }
+
+  const hostname = target.hostname.toLowerCase();
+  if (isInternalHost(hostname)) {
+    return `${hostname} is an internal address`;
+  }
+
+  const allowed = (env.PROXY_ALLOWED_HOSTS || '').split(',').map(value => value.trim().toLowerCase()).filter(Boolean);
+  const matches = allowed.some(entry => entry === '*' || entry === hostname ||
+    (entry.startsWith('*.') && hostname.endsWith(entry.slice(1))));
+  return matches ? null : `${hostname} is not an allowed host`;
+}
+
+/**
+ * Build the URL that fetches a target through the proxy
+ * @param {URL|string} target - The target URL
+ * @param {string} proxyOrigin - The worker's origin
+ * @returns {string} - The proxy URL
+ */
+export function toProxyUrl(target, proxyOrigin) {
+  return `${proxyOrigin}${config.PROXY_PATH_PREFIX}${target.toString()}`;
+}
+
+/**
+ * Build the request sent to a proxy target, without the client's credentials
+ * @param {URL} target - The target URL
+ * @param {Request} request - The incoming request
+ * @returns {Request} - The request for the target, not following redirects
+ */
+export function buildProxyOriginRequest(target, request) {
+  const originRequest = new Request(new Request(target.toString(), request), { redirect: 'manual' });
+  originRequest.headers.delete('Cookie');
+  originRequest.headers.delete('Authorization');
+  return originRequest;
+}
+
+/**
+ * Fetch a proxy target, keeping redirects inside the proxy
+ * @param {Request} originRequest - The request from buildProxyOriginRequest
+ * @param {Object} proxy - The worker's `origin` and the `target` URL
+ * @param {Object} env - Environment variables and bindings
+ * @returns {Promise<Response>} - The response, with a redirect's Location rewritten
+ */
+export async function fetchThroughProxy(originRequest, proxy, env) {
+  const response = await fetch(originRequest);
+  const location = response.headers.get('Location');
+  if (response.status < 300 || response.status >= 400 || !location) {
+    return response;
+  }
+
+  const rewritten = rewriteNavigationUrl(location, proxy.target, proxy, env);
+  log.info(`[PROXY] Rewriting ${response.status} redirect to ${loggableUrl(location)} as ${loggableUrl(rewritten)}`);
+  const headers = new Headers(response.headers);
+  headers.set('Location', rewritten);
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+}
+
+/**
+ * Add handlers that rewrite the page's URLs for proxy mode
+ * @param {HTMLRewriter} rewriter - The rewriter
+ * @param {Object} proxy - The worker's `origin` and the `target` URL
+ * @param {Object} env - Environment variables and bindings
+ * @returns {HTMLRewriter} - The rewriter
+ */
+export function addProxyRewriting(rewriter, proxy, env) {
+  // Relative URLs resolve against the page's own <base href>, once seen
+  let documentBase = proxy.target;
+
+  rewriter.on('base[href]', {
+    element(element) {
+      const base = resolveUrl(element.getAttribute('href'), documentBase);
+      if (base) {
+        documentBase = base;
+        element.setAttribute('href', base.toString());
+      }
+    }
+  });
+
+  for (const [tag, attribute] of Object.entries(NAVIGATION_ATTRIBUTES)) {
+    rewriter.on(tag, {
+      element(element) {
+        const value = element.getAttribute(attribute);
+        if (value !== null) {
+          element.setAttribute(attribute, rewriteNavigationUrl(value, documentBase, proxy, env));
+        } else if (tag === 'form') {
+          // A form without an action submits to the page itself
+          element.setAttribute('action', toProxyUrl(stripQuery(proxy.target), proxy.origin));
+        }
+      }
+    });
+  }
+
+  for (const [tag, attributes] of Object.entries(RESOURCE_ATTRIBUTES)) {
+    rewriter.on(tag, {
+      element(element) {
+        for (const attribute of attributes) {
+          const value = element.getAttribute(attribute);
+          if (value !== null) {
+            element.setAttribute(attribute, attribute === 'srcset' ?
+              rewriteSrcset(value, documentBase) :
+              resolveUrl(value, documentBase)?.toString() ?? value);
+          }
+        }
+      }
+    });
+  }
+
+  return rewriter;
+}
+
+/**
+ * Rewrite a navigation URL to go through the proxy if its host may be proxied
+ * @param {string} value - The URL as written in the page or header
+ * @param {URL} base - The URL to resolve it against
+ * @param {Object} proxy - The worker's `origin` and the `target` URL
+ * @param {Object} env - Environment variables and bindings
+ * @returns {string} - The proxy URL, the absolute URL for other hosts, or the value unchanged (fragments, `javascript:` etc.)
+ */
+function rewriteNavigationUrl(value, base, proxy, env) {
+  if (/^\s*#/.test(value)) {
+    return value;
+  }
+  const resolved = resolveUrl(value, base);
+  if (!resolved || !['http:', 'https:'].includes(resolved.protocol)) {
+    return value;
+  }
+  return checkProxyTarget(resolved, env) ? resolved.toString() : toProxyUrl(resolved, proxy.origin);
+}
+
+/**
+ * Make every URL in a srcset absolute
+ * @param {string} srcset - e.g. "a.jpg 1x, /b.jpg 2x"
+ * @param {URL} base - The URL to resolve against
+ * @returns {string} - The rewritten srcset
+ */
+function rewriteSrcset(srcset, base) {
+  return srcset.split(',').map(candidate => {
+    const [src, ...descriptors] = candidate.trim().split(/\s+/);
+    if (!src) {
+      return candidate.trim();
+    }
+    const resolved = resolveUrl(src, base);
+    return [resolved ? resolved.toString() : src, ...descriptors].join(' ');
+  }).filter(Boolean).join(', ');
+}
+
+function resolveUrl(value, base) {
+  try {
+    return new URL(value.trim(), base);
+  } catch (error) {
+    return null;
+  }
+}
+
+function stripQuery(url) {
+  const stripped = new URL(url);
+  stripped.search = '';
+  stripped.hash = '';
+  return stripped;
+}
+
+/**
+ * Check whether a hostname is loopback, private, link-local or otherwise internal
+ * @param {string} hostname - The lowercased hostname (IPv6 addresses in brackets)
+ * @returns {boolean} - True if it must not be proxied
+ */
+function isInternalHost(hostname) {
+  if (hostname.startsWith('[')) {
+    return isInternalIpv6(hostname.slice(1, -1));
+  }
+  const ipv4 = parseIpv4(hostname);
+  if (ipv4) {
+    return isInternalIpv4(ipv4);
+  }
+  // Single-label names (intranet hosts) and reserved internal domains
+  return !hostname.includes('.') ||
+    config.PROXY_INTERNAL_DOMAINS.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+}
+
+function parseIpv4(text) {
+  const match = text.match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+  return match ? match.slice(1).map(Number) : null;
+}
+
+function isInternalIpv4([a, b]) {
+  return a === 0 || a === 10 || a === 127 || a >= 224 ||     // this network, private, loopback, multicast and reserved
+    (a === 100 && b >= 64 && b <= 127) ||                     // carrier-grade NAT
+    (a === 169 && b === 254) ||                               // link-local (cloud metadata)
+    (a === 172 && b >= 16 && b <= 31) ||                      // private
+    (a === 192 && (b === 168 || b === 0)) ||                  // private, IETF protocol assignments
+    (a === 198 && (b === 18 || b === 19));                    // benchmarking
+}
+
+function isInternalIpv6(address) {
+  // IPv4-mapped addresses (the URL parser writes them as ::ffff:7f00:1)
+  const mapped = address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mapped) {
+    const high = parseInt(mapped[1], 16);
+    return isInternalIpv4([high >> 8, high & 0xff]);
+  }
+  return address === '::' || address === '::1' ||
+    /^f[cd]/.test(address) ||      // unique local
+    /^fe[89ab]/.test(address) ||   // link-local
+    /^ff/.test(address) ||         // multicast
+    address.startsWith('::ffff:') || address.startsWith('64:ff9b:');
+}
@@ -0,0 +1,100 @@
+/**
+ * Scope3 Segments Worker Response Finalization
+ *
+ * Fixes up the origin's headers for the rewritten page: the body is re-streamed
+ * uncompressed with a different length, its bytes no longer match a strong
+ * ETag, the injected inline script must be allowed by any Content-Security-Policy,
+ * and shared caches must know when the page depends on the visitor's cookies.
+ */
+
+const CSP_HEADERS = ['Content-Security-Policy', 'Content-Security-Policy-Report-Only'];
+
+/**
+ * Build the headers for a rewritten response from the origin's headers
+ * @param {Headers} originHeaders - The origin response headers
+ * @param {Object} options - `nonce` of the injected script, `varyOnCookie` if segments depend on cookies
+ * @returns {Headers} - The finalized headers
+ */
+export function finalizeHeaders(originHeaders, { nonce, varyOnCookie }) {
+  const headers = new Headers(originHeaders);
+
+  // The body is streamed through the rewriter: its length changes and it is no
+  // longer encoded (Cloudflare re-compresses it for the client as needed)
+  headers.delete('Content-Length');
+  headers.delete('Content-Encoding');
+
+  // Same content, different bytes: a strong validator would be a lie
+  const etag = headers.get('ETag');
+  if (etag && !etag.startsWith('W/')) {
+    headers.set('ETag', `W/${etag}`);
+  }
+
+  // Allow the injected script through the page's CSP
+  if (nonce) {
+    for (const name of CSP_HEADERS) {
+      const policy = headers.get(name);
+      if (policy) {
+        headers.set(name, addNonceToPolicy(policy, nonce));
+      }
+    }
+  }
+
+  if (varyOnCookie) {
+    const vary = headers.get('Vary');
+    const varyValues = vary ? vary.split(',').map(value => value.trim()) : [];
+    if (!varyValues.some(value => value === '*' || value.toLowerCase() === 'cookie')) {
+      headers.set('Vary', [...varyValues, 'Cookie'].join(', '));
+    }
+  }
+
+  return headers;
+}
+
+/**
+ * Add a script nonce to a Content-Security-Policy header value
+ *
+ * The nonce goes into the directive that governs inline script elements
+ * (script-src-elem, then script-src, then default-src) of each policy. A
+ * directive that already allows any inline script with 'unsafe-inline' is left
+ * alone, since adding a nonce to it would disable 'unsafe-inline' for the page,
+ * and so is one that allows no scripts at all ('none').
+ * @param {string} headerValue - The header value, possibly with several comma separated policies
+ * @param {string} nonce - The nonce
+ * @returns {string} - The updated header value
+ */
+export function addNonceToPolicy(headerValue, nonce) {
+  return headerValue.split(',').map(policy => {
+    const directives = policy.split(';').map(directive => directive.trim()).filter(Boolean);
+    const names = directives.map(directive => directive.split(/\s+/)[0].toLowerCase());
+
+    const index = ['script-src-elem', 'script-src', 'default-src']
+      .map(name => names.indexOf(name))
+      .find(i => i !== -1);
+    if (index === undefined) {
+      // No directive restricts scripts
+      return policy.trim();
+    }
+
+    const sources = directives[index].split(/\s+/).slice(1).map(source => source.toLowerCase());
+    if (sources.includes("'none'")) {
+      // The page allows no scripts at all; respect that
+      return policy.trim();
+    }
+    const hasNonceOrHash = sources.some(source => /^'(nonce|sha256|sha384|sha512)-/.test(source));
+    if (sources.includes("'unsafe-inline'") && !hasNonceOrHash) {
+      return policy.trim();
+    }
+
+    directives[index] = `${directives[index]} 'nonce-${nonce}'`;
+    return directives.join('; ');
+  }).join(', ');
+}
+
+/**
+ * Create a random nonce for the injected script
+ * @returns {string} - A base64 encoded 128-bit nonce
+ */
+export function createNonce() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return btoa(String.fromCharCode(...bytes));
+}
@@ -0,0 +1,356 @@
+/**
+ * Scope3 Segments Worker HTML Rewriter
+ *
+ * Streaming HTML rewriting. In the Workers runtime this is Cloudflare's
+ * HTMLRewriter; everywhere else (Node, the test suite) a small pure-JS rewriter
+ * with the same `.on(selector, handlers).transform(response)` shape is used.
+ *
+ * The fallback only implements what the worker needs: element handlers on start
+ * tags, simple selectors (`tag`, `[attr]`, `[attr=value]`, `[attr~=value]`,
+ * comma lists) and the element methods `getAttribute`, `hasAttribute`,
+ * `setAttribute`, `removeAttribute`, `before` and `prepend`.
+ */
+
+// Elements whose contents are raw text and must not be scanned for tags
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+// Elements that never have content or an end tag
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+// Give up waiting for the end of a tag after this many characters
+const MAX_PENDING_CHARS = 64 * 1024;
+
+/**
+ * Create an HTML rewriter, preferring the native HTMLRewriter when available
+ * @returns {HTMLRewriter|FallbackRewriter} - A rewriter with `on` and `transform`
+ */
+export function createRewriter() {
+  if (typeof HTMLRewriter !== 'undefined') {
+    return new HTMLRewriter();
+  }
+  return new FallbackRewriter();
+}
+
+/**
+ * Pure-JS streaming rewriter used when HTMLRewriter is not available
+ */
+export class FallbackRewriter {
+  constructor() {
+    this.handlers = [];
+  }
+
+  /**
+   * Register element handlers for a selector
+   * @param {string} selector - The CSS selector (simple subset)
+   * @param {Object} handler - An object with an `element(el)` method
+   * @returns {FallbackRewriter} - This rewriter, for chaining
+   */
+  on(selector, handler) {
+    this.handlers.push({ selectors: parseSelector(selector), handler });
+    return this;
+  }
+
+  /**
+   * Rewrite a response body as it streams through
+   * @param {Response} response - The response to transform
+   * @returns {Response} - A new response with the transformed body
+   */
+  transform(response) {
+    if (!response.body) {
+      return response;
+    }
+
+    const tokenizer = new TagTokenizer(this.handlers);
+    const decoder = new TextDecoder();
+    const encoder = new TextEncoder();
+
+    const transformer = new TransformStream({
+      async transform(chunk, controller) {
+        const text = typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+        const output = await tokenizer.write(text);
+        if (output) {
+          controller.enqueue(encoder.encode(output));
+        }
+      },
+      async flush(controller) {
+        const output = await tokenizer.end(decoder.decode());
+        if (output) {
+          controller.enqueue(encoder.encode(output));
+        }
+      }
+    });
+
+    return new Response(response.body.pipeThrough(transformer), {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers
+    });
+  }
+}
+
+/**
+ * Incremental tokenizer that passes text through untouched and hands complete
+ * start tags to the matching element handlers
+ */
+class TagTokenizer {
+  constructor(handlers) {
+    this.handlers = handlers;
+    this.pending = '';
+    this.rawTextElement = null;
+  }
+
+  async write(text) {
+    this.pending += text;
+    return this.drain(false);
+  }
+
+  async end(text) {
+    this.pending += text;
+    return this.drain(true);
+  }
+
+  async drain(final) {
+    const buffer = this.pending;
+    let output = '';
+    let pos = 0;
+
+    while (pos < buffer.length) {
+      // Inside <script>, <style> etc. only look for the matching end tag
+      if (this.rawTextElement) {
+        const closeTag = `</${this.rawTextElement}`;
+        const closeIndex = indexOfIgnoreCase(buffer, closeTag, pos);
+        if (closeIndex === -1) {
+          // Hold back enough characters to spot an end tag split across chunks
+          const keepFrom = final ? buffer.length : Math.max(pos, buffer.length - closeTag.length);
+          output += buffer.slice(pos, keepFrom);
+          pos = keepFrom;
+          break;
+        }
+        output += buffer.slice(pos, closeIndex);
+        pos = closeIndex;
+        this.rawTextElement = null;
+        continue;
+      }
+
+      const tagStart = buffer.indexOf('<', pos);
+      if (tagStart === -1) {
+        output += buffer.slice(pos);
+        pos = buffer.length;
+        break;
+      }
+      output += buffer.slice(pos, tagStart);
+      pos = tagStart;
+
+      // Comments are passed through as-is
+      const head = buffer.slice(pos, pos + 4);
+      if (head === '<!--' || (!final && '<!--'.startsWith(head) && head.length < 4)) {
+        const commentEnd = head === '<!--' ? buffer.indexOf('-->', pos + 4) : -1;
+        if (commentEnd === -1) {
+          break;
+        }
+        output += buffer.slice(pos, commentEnd + 3);
+        pos = commentEnd + 3;
+        continue;
+      }
+
+      const tagEnd = findTagEnd(buffer, pos);
+      if (tagEnd === -1) {
+        break;
+      }
+      output += await this.processTag(buffer.slice(pos, tagEnd + 1));
+      pos = tagEnd + 1;
+    }
+
+    this.pending = buffer.slice(pos);
+
+    // Never hold back more than a bounded amount, or everything that is left at the end
+    if (final || this.pending.length > MAX_PENDING_CHARS) {
+      output += this.pending;
+      this.pending = '';
+    }
+
+    return output;
+  }
+
+  async processTag(tagText) {
+    const match = tagText.match(/^<([a-zA-Z][^\s\/>]*)/);
+    if (!match) {
+      // End tags, doctypes and processing instructions are passed through
+      return tagText;
+    }
+
+    const element = new FallbackElement(match[1], tagText);
+    if (RAW_TEXT_ELEMENTS.has(element.tagName) && !element.selfClosing) {
+      this.rawTextElement = element.tagName;
+    }
+
+    for (const { selectors, handler } of this.handlers) {
+      if (handler.element && selectors.some(selector => matchesSelector(selector, element))) {
+        await handler.element(element);
+      }
+    }
+
+    return element.serialize();
+  }
+}
+
+/**
+ * Minimal element object handed to fallback element handlers
+ */
+class FallbackElement {
+  constructor(name, tagText) {
+    this.tagName = name.toLowerCase();
+    this.originalText = tagText;
+    this.selfClosing = /\/\s*>$/.test(tagText) || VOID_ELEMENTS.has(this.tagName);
+    this.modified = false;
+    this.beforeContent = '';
+    this.prependContent = '';
+    this.attributeList = parseAttributes(tagText.slice(name.length + 1).replace(/\/?\s*>$/, ''));
+  }
+
+  get attributes() {
+    return this.attributeList.map(attr => [attr.name, attr.value])[Symbol.iterator]();
+  }
+
+  getAttribute(name) {
+    const attr = this.attributeList.find(a => a.name === name.toLowerCase());
+    if (!attr) {
+      return null;
+    }
+    return attr.value === null ? '' : attr.value;
+  }
+
+  hasAttribute(name) {
+    return this.attributeList.some(a => a.name === name.toLowerCase());
+  }
+
+  setAttribute(name, value) {
+    const attr = this.attributeList.find(a => a.name === name.toLowerCase());
+    if (attr) {
+      attr.value = String(value);
+    } else {
+      this.attributeList.push({ name: name.toLowerCase(), value: String(value) });
+    }
+    this.modified = true;
+    return this;
+  }
+
+  removeAttribute(name) {
+    this.attributeList = this.attributeList.filter(a => a.name !== name.toLowerCase());
+    this.modified = true;
+    return this;
+  }
+
+  before(content, options = {}) {
+    this.beforeContent += options.html ? content : escapeHtml(content);
+    return this;
+  }
+
+  prepend(content, options = {}) {
+    this.prependContent = (options.html ? content : escapeHtml(content)) + this.prependContent;
+    return this;
+  }
+
+  serialize() {
+    let tag = this.originalText;
+    if (this.modified) {
+      const attrs = this.attributeList
+        .map(attr => attr.value === null ? ` ${attr.name}` : ` ${attr.name}="${attr.value.replace(/"/g, '&quot;')}"`)
+        .join('');
+      tag = `<${this.tagName}${attrs}${this.selfClosing && /\/\s*>$/.test(this.originalText) ? ' /' : ''}>`;
+    }
+    // Void elements have no content to prepend to
+    const prepend = VOID_ELEMENTS.has(this.tagName) ? '' : this.prependContent;
+    return this.beforeContent + tag + prepend;
+  }
+}
+
+/**
+ * Find the closing `>` of the tag starting at `start`, skipping quoted attribute values
+ * @param {string} buffer - The text being tokenized
+ * @param {number} start - The index of the opening `<`
+ * @returns {number} - The index of the closing `>` or -1 if the tag is incomplete
+ */
+function findTagEnd(buffer, start) {
+  let quote = null;
+  let lastSignificant = '';
+  for (let i = start + 1; i < buffer.length; i++) {
+    const char = buffer[i];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if ((char === '"' || char === "'") && lastSignificant === '=') {
+      quote = char;
+    } else if (char === '>') {
+      return i;
+    }
+    if (!/\s/.test(char)) {
+      lastSignificant = char;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parse the attribute section of a start tag
+ * @param {string} text - Everything between the tag name and the closing `>`
+ * @returns {Array<Object>} - Attributes as `{ name, value }` in source order
+ */
+function parseAttributes(text) {
+  const attributes = [];
+  const pattern = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const value = match[2] ?? match[3] ?? match[4] ?? null;
+    attributes.push({ name: match[1].toLowerCase(), value });
+  }
+  return attributes;
+}
+
+/**
+ * Parse a (comma separated) selector into matchers
+ * @param {string} selector - The selector string
+ * @returns {Array<Object>} - One `{ tag, attrs }` matcher per selector in the list
+ */
+function parseSelector(selector) {
+  return selector.split(',').map(part => {
+    const match = part.trim().match(/^([a-zA-Z][\w-]*|\*)?((?:\[[^\]]+\])*)$/);
+    if (!match) {
+      throw new Error(`Unsupported selector: ${part}`);
+    }
+    const attrs = [...match[2].matchAll(/\[\s*([^\]=~\s]+)\s*(?:(~?=)\s*["']?([^"'\]]*)["']?)?\s*\]/g)]
+      .map(attr => ({ name: attr[1].toLowerCase(), operator: attr[2] || null, value: attr[3] }));
+    return { tag: match[1] && match[1] !== '*' ? match[1].toLowerCase() : null, attrs };
+  });
+}
+
+function matchesSelector(selector, element) {
+  if (selector.tag && selector.tag !== element.tagName) {
+    return false;
+  }
+  return selector.attrs.every(({ name, operator, value }) => {
+    const actual = element.getAttribute(name);
+    if (actual === null) {
+      return false;
+    }
+    if (operator === '=') {
+      return actual === value;
+    }
+    if (operator === '~=') {
+      return actual.split(/\s+/).includes(value);
+    }
+    return true;
+  });
+}
+
+function indexOfIgnoreCase(text, search, from) {
+  return text.toLowerCase().indexOf(search.toLowerCase(), from);
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
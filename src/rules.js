@@ -0,0 +1,154 @@
+/**
+ * Scope3 Segments Worker Injection Rules
+ *
+ * Decides which requests get segments injected. Rules come from the
+ * INJECTION_RULES env var, either a JSON string or a JSON object binding
+ * (a `[vars]` table in wrangler.toml), merged over the defaults in config.js:
+ *
+ * {
+ *   "includePaths": ["/**"],          // path globs that may get segments
+ *   "excludePaths": ["/api/**"],      // path globs that never do (checked first)
+ *   "methods": ["GET"],               // request methods that may get segments
+ *   "contentTypes": ["text/html"],    // response Content-Types that may get segments
+ *   "successOnly": true               // skip non-2xx responses
+ * }
+ *
+ * In path globs `*` matches within one path segment and `**` across segments.
+ * Globs that don't start with `/` match at any depth (`*.json` is `/**\/*.json`).
+ */
+
+import * as config from './config.js';
+import { log } from './logger.js';
+
+// Parsed rules, by the raw INJECTION_RULES value they came from (one per site)
+const parsedRules = new Map();
+
+/**
+ * Get the injection rules for this environment
+ * @param {Object} env - Environment variables and bindings
+ * @returns {Object} - The rules with compiled path patterns
+ */
+export function getInjectionRules(env) {
+  const source = env.INJECTION_RULES;
+  if (parsedRules.has(source)) {
+    return parsedRules.get(source);
+  }
+
+  let overrides = {};
+  if (source) {
+    try {
+      overrides = validateRules(typeof source === 'string' ? JSON.parse(source) : source);
+    } catch (error) {
+      log.error(`[RULES] Invalid INJECTION_RULES, using defaults: ${error.message}`);
+    }
+  }
+
+  const rules = { ...config.DEFAULT_INJECTION_RULES, ...overrides };
+  rules.methods = rules.methods.map(method => method.toUpperCase());
+  rules.contentTypes = rules.contentTypes.map(type => type.toLowerCase());
+  rules.includePatterns = rules.includePaths.map(globToRegExp);
+  rules.excludePatterns = rules.excludePaths.map(globToRegExp);
+
+  if (parsedRules.size >= config.MAX_SITE_CONFIGS) {
+    parsedRules.delete(parsedRules.keys().next().value);
+  }
+  parsedRules.set(source, rules);
+  return rules;
+}
+
+/**
+ * Keep the valid fields of INJECTION_RULES, logging the others
+ * @param {*} overrides - The parsed INJECTION_RULES
+ * @returns {Object} - The valid fields; the others keep their defaults
+ */
+function validateRules(overrides) {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('must be an object');
+  }
+
+  const valid = {};
+  for (const [field, value] of Object.entries(overrides)) {
+    const validator = RULE_FIELDS[field];
+    const error = validator ? validator(value) : 'is not a rule';
+    if (error) {
+      log.error(`[RULES] Ignoring invalid INJECTION_RULES field, using its default: ${field} ${error}`);
+    } else {
+      valid[field] = value;
+    }
+  }
+  return valid;
+}
+
+// Validators for each rule, returning an error message or null
+const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string' && item.length > 0);
+const RULE_FIELDS = {
+  includePaths: value => isStringList(value) ? null : 'must be a list of path globs',
+  excludePaths: value => isStringList(value) ? null : 'must be a list of path globs',
+  methods: value => isStringList(value) ? null : 'must be a list of methods',
+  contentTypes: value => Array.isArray(value) && value.every(type => typeof type === 'string') ? null : 'must be a list of content types',
+  successOnly: value => typeof value === 'boolean' ? null : 'must be true or false'
+};
+
+/**
+ * Decide from the request alone whether segments may be injected
+ * @param {Request} request - The incoming request
+ * @param {URL} url - The URL of the page
+ * @param {Object} rules - The injection rules
+ * @returns {Object} - `inject` and the `reason` for the decision
+ */
+export function evaluateRequestRules(request, url, rules) {
+  const method = (request.method || 'GET').toUpperCase();
+  if (!rules.methods.includes(method)) {
+    return { inject: false, reason: `method ${method} is not allowed` };
+  }
+
+  const path = url.pathname;
+  const excluded = rules.excludePaths.find((glob, i) => rules.excludePatterns[i].test(path));
+  if (excluded) {
+    return { inject: false, reason: `path matches exclude rule "${excluded}"` };
+  }
+
+  if (!rules.includePatterns.some(pattern => pattern.test(path))) {
+    return { inject: false, reason: `path matches no include rule` };
+  }
+
+  return { inject: true, reason: `request matches rules` };
+}
+
+/**
+ * Decide from the origin response whether segments may be injected
+ * @param {Response} response - The origin response
+ * @param {Object} rules - The injection rules
+ * @returns {Object} - `inject` and the `reason` for the decision
+ */
+export function evaluateResponseRules(response, rules) {
+  if (rules.successOnly && (response.status < 200 || response.status > 299)) {
+    return { inject: false, reason: `status ${response.status} is not 2xx` };
+  }
+
+  const contentType = (response.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+  if (rules.contentTypes.length > 0 && !rules.contentTypes.includes(contentType)) {
+    return { inject: false, reason: `content type "${contentType || 'none'}" is not allowed` };
+  }
+
+  return { inject: true, reason: `response matches rules` };
+}
+
+/**
+ * Compile a path glob to a regular expression
+ * @param {string} glob - The path glob
+ * @returns {RegExp} - A case-insensitive expression matching whole paths
+ */
+export function globToRegExp(glob) {
+  const pattern = glob.startsWith('/') ? glob : `/**/${glob}`;
+  const source = pattern
+    .split(/(\*\*\/|\*\*|\*)/)
+    .map(part => {
+      if (part === '**/') return '(?:.*/)?';
+      if (part === '**') return '.*';
+      if (part === '*') return '[^/]*';
+      return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
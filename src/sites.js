@@ -0,0 +1,269 @@
+/**
+ * Scope3 Segments Worker Site Registry
+ *
+ * Lets one worker serve many publisher domains with their own settings. Site
+ * configs are keyed by hostname and come from either:
+ *
+ * - the SITES_KV Workers KV namespace, one JSON value per hostname, or
+ * - the SITES env var, a JSON string or object mapping hostnames to configs.
+ *
+ * A site config may contain:
+ *
+ * {
+ *   "enabled": true,                      // false passes the site's pages through untouched
+ *   "endpoint": "https://rtdp.scope3.com/amazonaps/rtii",
+ *   "apiKey": "...",
+ *   "apiTimeout": 300,                    // ms
+ *   "cacheTtl": 1800,                     // seconds
+ *   "excludePaths": ["/checkout/**"],     // added to the INJECTION_RULES exclusions
+ *   "variableName": "scope3",             // the page gets window.<variableName>.segments
+ *   "identitySources": ["sharedid.org"],  // EID sources sent for the site
+ *   "adapters": ["prebid", "gpt"],        // targeting adapters added to the injected script
+ *   "logLevel": "warn",                   // LOG_LEVEL for the site's requests
+ *   "adSlots": {                          // ad slots by path glob, checked before AD_SLOTS
+ *     "/articles/**": [{ "tagid": "/1234/article/top", "sizes": [[728, 90]] }]
+ *   }
+ * }
+ *
+ * Each setting is applied over the matching env var (INJECTION_ENABLED,
+ * SCOPE3_API_ENDPOINT, SCOPE3_API_KEY, API_TIMEOUT, CACHE_TTL, INJECTION_RULES,
+ * INJECTION_VARIABLE, IDENTITY_SOURCES, TARGETING_ADAPTERS, AD_SLOTS, LOG_LEVEL), so everything
+ * downstream just reads env. Invalid settings are logged and dropped. A host
+ * without a config uses the `*` entry if there is one, and the worker's own env
+ * vars otherwise.
+ */
+
+import * as config from './config.js';
+import { ADAPTER_NAMES } from './adapters.js';
+import { log, LOG_LEVEL_NAMES } from './logger.js';
+
+// Parsed SITES, by the raw value it came from
+let parsedSites = { source: undefined, registry: {} };
+
+// Site configs read from KV, by hostname, with the time they were read
+const siteCache = new Map();
+
+// Validated site env overlays, by registry key and the raw config they came from
+const resolvedSites = new Map();
+
+/**
+ * Get the env for a host: the worker's env with the host's site config applied
+ * @param {string} hostname - The hostname of the page
+ * @param {Object} env - Environment variables and bindings
+ * @returns {Promise<Object>} - The env to use for the request (the original env if no registry is configured)
+ */
+export async function getSiteEnv(hostname, env) {
+  if (!env.SITES && !env.SITES_KV) {
+    return env;
+  }
+
+  const host = (hostname || '').toLowerCase().replace(/\.$/, '');
+  const { raw, matched } = await findSiteConfig(host, env);
+  if (raw === null) {
+    log.info(`[SITES] No site config for ${host}, using defaults`);
+    return env;
+  }
+
+  const overlayKey = `${matched} ${raw}`;
+  let overlay = resolvedSites.get(overlayKey);
+  if (!overlay) {
+    overlay = buildSiteOverlay(matched, raw, env);
+    if (resolvedSites.size >= config.MAX_SITE_CONFIGS) {
+      resolvedSites.delete(resolvedSites.keys().next().value);
+    }
+    resolvedSites.set(overlayKey, overlay);
+  }
+
+  return { ...env, ...overlay };
+}
+
+/**
+ * Validate a site config
+ * @param {Object} site - The site config
+ * @returns {Object} - The valid `settings` and the `errors` for the invalid ones
+ */
+export function validateSiteConfig(site) {
+  const settings = {};
+  const errors = [];
+
+  if (!site || typeof site !== 'object' || Array.isArray(site)) {
+    return { settings, errors: ['site config must be an object'] };
+  }
+
+  for (const [field, value] of Object.entries(site)) {
+    const validator = SITE_FIELDS[field];
+    if (!validator) {
+      errors.push(`unknown setting "${field}"`);
+      continue;
+    }
+    const error = validator(value);
+    if (error) {
+      errors.push(`${field} ${error}`);
+    } else {
+      settings[field] = value;
+    }
+  }
+
+  return { settings, errors };
+}
+
+// Validators for each site setting, returning an error message or null
+const SITE_FIELDS = {
+  enabled: value => typeof value === 'boolean' ? null : 'must be true or false',
+  endpoint: value => {
+    try {
+      return new URL(value).protocol === 'https:' ? null : 'must be an https URL';
+    } catch (error) {
+      return 'must be an https URL';
+    }
+  },
+  apiKey: value => typeof value === 'string' && value.length > 0 ? null : 'must be a non-empty string',
+  apiTimeout: value => Number.isInteger(value) && value > 0 && value <= config.MAX_SITE_API_TIMEOUT ?
+    null : `must be an integer between 1 and ${config.MAX_SITE_API_TIMEOUT} (ms)`,
+  cacheTtl: value => Number.isInteger(value) && value >= 0 ? null : 'must be a non-negative integer (seconds)',
+  excludePaths: value => Array.isArray(value) && value.every(path => typeof path === 'string' && path.length > 0) ?
+    null : 'must be a list of path globs',
+  variableName: value => typeof value === 'string' && /^[A-Za-z_$][\w$]*$/.test(value) ?
+    null : 'must be a JavaScript identifier',
+  identitySources: value => Array.isArray(value) && value.every(source => source in config.EID_SOURCE_VENDOR_IDS) ?
+    null : `must be a list of: ${Object.keys(config.EID_SOURCE_VENDOR_IDS).join(', ')}`,
+  adapters: value => Array.isArray(value) && value.every(name => ADAPTER_NAMES.includes(name)) ?
+    null : `must be a list of: ${ADAPTER_NAMES.join(', ')}`,
+  logLevel: value => LOG_LEVEL_NAMES.includes(value) ? null : `must be one of: ${LOG_LEVEL_NAMES.join(', ')}`,
+  adSlots: value => value && typeof value === 'object' && !Array.isArray(value) &&
+    Object.entries(value).every(([glob, slots]) => glob.length > 0 && Array.isArray(slots) &&
+      slots.every(slot => slot && typeof slot.tagid === 'string' && slot.tagid.length > 0 &&
+        (slot.sizes === undefined || Array.isArray(slot.sizes) || typeof slot.sizes === 'string'))) ?
+    null : 'must map path globs to lists of slots with a tagid'
+};
+
+/**
+ * Turn a site config into env var overrides
+ * @param {string} host - The registry entry the config came from, for logging
+ * @param {string} raw - The site config as JSON
+ * @param {Object} env - Environment variables and bindings
+ * @returns {Object} - The env vars to override
+ */
+function buildSiteOverlay(host, raw, env) {
+  let site;
+  try {
+    site = JSON.parse(raw);
+  } catch (error) {
+    log.error(`[SITES] Invalid site config for ${host}, using defaults: ${error.message}`);
+    return {};
+  }
+
+  const { settings, errors } = validateSiteConfig(site);
+  for (const error of errors) {
+    log.error(`[SITES] Ignoring invalid setting for ${host}: ${error}`);
+  }
+
+  const overlay = { SITE: host };
+  if (settings.enabled === false) overlay.INJECTION_ENABLED = 'false';
+  if (settings.endpoint) overlay.SCOPE3_API_ENDPOINT = settings.endpoint;
+  if (settings.apiKey) overlay.SCOPE3_API_KEY = settings.apiKey;
+  if (settings.apiTimeout) overlay.API_TIMEOUT = String(settings.apiTimeout);
+  if (settings.cacheTtl !== undefined) overlay.CACHE_TTL = String(settings.cacheTtl);
+  if (settings.variableName) overlay.INJECTION_VARIABLE = settings.variableName;
+  if (settings.identitySources) overlay.IDENTITY_SOURCES = settings.identitySources.join(',');
+  if (settings.adapters) overlay.TARGETING_ADAPTERS = settings.adapters.join(',');
+  if (settings.logLevel) overlay.LOG_LEVEL = settings.logLevel;
+
+  if (settings.adSlots) {
+    // The site's globs are checked first, then the worker's
+    let adSlots = {};
+    try {
+      adSlots = typeof env.AD_SLOTS === 'string' ? JSON.parse(env.AD_SLOTS) : (env.AD_SLOTS || {});
+    } catch (error) {
+      // getAdSlots reports invalid AD_SLOTS
+    }
+    const workerAdSlots = Object.entries(adSlots).filter(([glob]) => !(glob in settings.adSlots));
+    overlay.AD_SLOTS = JSON.stringify({ ...settings.adSlots, ...Object.fromEntries(workerAdSlots) });
+  }
+
+  if (settings.excludePaths) {
+    // Add to the worker's exclusions rather than replace them, so assets stay excluded
+    let rules = {};
+    try {
+      rules = typeof env.INJECTION_RULES === 'string' ? JSON.parse(env.INJECTION_RULES) : (env.INJECTION_RULES || {});
+    } catch (error) {
+      // getInjectionRules reports invalid INJECTION_RULES
+    }
+    const excludePaths = Array.isArray(rules.excludePaths) ? rules.excludePaths : config.DEFAULT_INJECTION_RULES.excludePaths;
+    overlay.INJECTION_RULES = JSON.stringify({ ...rules, excludePaths: [...excludePaths, ...settings.excludePaths] });
+  }
+
+  return overlay;
+}
+
+/**
+ * Find the registry entry for a host: the host itself, without `www.`, or `*`
+ * @param {string} host - The lowercased hostname
+ * @param {Object} env - Environment variables and bindings
+ * @returns {Promise<Object>} - The entry as JSON (`raw`, or null) and the registry key it was `matched` under
+ */
+async function findSiteConfig(host, env) {
+  const candidates = [host];
+  if (host.startsWith('www.')) {
+    candidates.push(host.slice(4));
+  }
+  candidates.push('*');
+
+  for (const candidate of candidates) {
+    const raw = env.SITES_KV ? await readKvSiteConfig(candidate, env.SITES_KV) : readVarSiteConfig(candidate, env.SITES);
+    if (raw !== null) {
+      return { raw, matched: candidate };
+    }
+  }
+  return { raw: null, matched: null };
+}
+
+/**
+ * Read a site config from the SITES env var
+ * @param {string} key - The registry key
+ * @param {string|Object} sites - The SITES value
+ * @returns {string|null} - The config as JSON, or null if there is none
+ */
+function readVarSiteConfig(key, sites) {
+  if (parsedSites.source !== sites) {
+    let registry = {};
+    try {
+      registry = typeof sites === 'string' ? JSON.parse(sites) : sites;
+    } catch (error) {
+      log.error(`[SITES] Invalid SITES, using defaults: ${error.message}`);
+    }
+    parsedSites = { source: sites, registry: registry || {} };
+  }
+  const site = parsedSites.registry[key];
+  return site === undefined ? null : JSON.stringify(site);
+}
+
+/**
+ * Read a site config from KV, caching it in the isolate for a short while
+ * @param {string} key - The registry key
+ * @param {Object} namespace - The SITES_KV namespace binding
+ * @returns {Promise<string|null>} - The config as JSON, or null if there is none
+ */
+async function readKvSiteConfig(key, namespace) {
+  const cached = siteCache.get(key);
+  if (cached && Date.now() - cached.readAt < config.SITE_CONFIG_CACHE_TTL * 1000) {
+    return cached.raw;
+  }
+
+  let raw = null;
+  try {
+    raw = await namespace.get(key);
+  } catch (error) {
+    log.error(`[SITES] Error reading site config for ${key}: ${error}`);
+    // Keep using the last known config rather than falling back to defaults
+    if (cached) {
+      return cached.raw;
+    }
+  }
+
+  if (siteCache.size >= config.MAX_SITE_CONFIGS) {
+    siteCache.delete(siteCache.keys().next().value);
+  }
+  siteCache.set(key, { raw, readAt: Date.now() });
+  return raw;
+}
@@ -0,0 +1,203 @@
+/**
+ * Scope3 Segments Worker Ad Slots
+ *
+ * Finds the ad slots on a page so the OpenRTB request carries one `imp` per
+ * slot and the returned segments are keyed by slot. Slots come from:
+ *
+ * - the AD_SLOTS env var, a JSON string or object mapping path globs (as in
+ *   INJECTION_RULES) to slots; the first matching glob wins:
+ *
+ *   {
+ *     "/articles/**": [
+ *       { "tagid": "/1234/article/top", "sizes": [[728, 90], [970, 250]] },
+ *       { "tagid": "/1234/article/side", "sizes": ["300x250"] }
+ *     ]
+ *   }
+ *
+ * - otherwise, slots discovered in the HTML of earlier pageviews of the page
+ *   served by this isolate: GPT `googletag.defineSlot(path, sizes, divId)` calls
+ *   and elements with a `data-ad-unit` (and optional `data-ad-sizes="300x250,728x90"`)
+ *   attribute. Set AD_SLOT_DISCOVERY to "false" to disable this.
+ *
+ * Without slots, the request has a single `imp` with id "1" as before.
+ */
+
+import * as config from './config.js';
+import { globToRegExp } from './rules.js';
+import { log, loggableUrl } from './logger.js';
+
+// Parsed AD_SLOTS, by the raw value they came from (one per site)
+const parsedSlotConfigs = new Map();
+
+// Slots discovered in pages served by this isolate, by canonical page URL, with when the page was scanned
+const learnedSlots = new Map();
+
+/**
+ * Get the ad slots for a page
+ * @param {URL} url - The canonical URL of the page
+ * @param {Object} env - Environment variables and bindings
+ * @returns {Array<Object>} - The slots as `{ tagid, sizes }`, possibly empty
+ */
+export function getAdSlots(url, env) {
+  const configured = getConfiguredSlots(url, env);
+  if (configured) {
+    return configured;
+  }
+  if (env.AD_SLOT_DISCOVERY === 'false') {
+    return [];
+  }
+  return learnedSlots.get(url.toString())?.slots || [];
+}
+
+/**
+ * Check whether a page was scanned for slots within PAGE_SCAN_TTL
+ * @param {URL} url - The canonical URL of the page
+ * @returns {boolean} - True if the page doesn't need to be scanned for slots again yet
+ */
+export function hasRecentPageSlots(url) {
+  const entry = learnedSlots.get(url.toString());
+  return !!entry && Date.now() - entry.scannedAt < config.PAGE_SCAN_TTL * 1000;
+}
+
+/**
+ * Get the slots configured in AD_SLOTS for a page
+ * @param {URL} url - The URL of the page
+ * @param {Object} env - Environment variables and bindings
+ * @returns {Array<Object>|null} - The slots of the first matching path glob, or null if none matches
+ */
+export function getConfiguredSlots(url, env) {
+  const entry = getSlotConfig(env).find(({ pattern }) => pattern.test(url.pathname));
+  return entry ? entry.slots : null;
+}
+
+/**
+ * Build the OpenRTB impressions for a list of slots
+ * @param {Array<Object>} slots - The slots as `{ tagid, sizes }`
+ * @returns {Array<Object>} - One `imp` per slot, or the single default `imp`
+ */
+export function buildImpressions(slots) {
+  if (!slots || slots.length === 0) {
+    return [{ id: "1" }];
+  }
+  return slots.map((slot, index) => {
+    const imp = { id: String(index + 1), tagid: slot.tagid };
+    if (slot.sizes.length > 0) {
+      imp.banner = { format: slot.sizes.map(([w, h]) => ({ w, h })) };
+    }
+    return imp;
+  });
+}
+
+/**
+ * Find the ad slots declared in a page's HTML
+ * @param {string} html - The HTML content
+ * @returns {Array<Object>} - The slots as `{ tagid, sizes }`, in document order
+ */
+export function discoverSlots(html) {
+  const found = [];
+
+  // googletag.defineSlot('/1234/top', [[728, 90], [970, 250]], 'div-gpt-ad-top')
+  const defineSlotPattern = /\.defineSlot\(\s*(['"])([^'"]+)\1\s*,\s*(\[(?:[^\[\]]|\[[^\[\]]*\])*\]|(['"])[^'"]*\4)/g;
+  for (const match of html.matchAll(defineSlotPattern)) {
+    found.push({ index: match.index, tagid: match[2], sizes: parseSizes(match[3]) });
+  }
+
+  // <div data-ad-unit="/1234/side" data-ad-sizes="300x250,300x600">
+  const adUnitPattern = /<[a-z][^>]*?\sdata-ad-unit\s*=\s*(["'])([^"']+)\1[^>]*>/gi;
+  for (const match of html.matchAll(adUnitPattern)) {
+    const sizesMatch = match[0].match(/\sdata-ad-sizes\s*=\s*(["'])([^"']*)\1/i);
+    found.push({ index: match.index, tagid: match[2], sizes: parseSizes(sizesMatch ? sizesMatch[2] : '') });
+  }
+
+  found.sort((a, b) => a.index - b.index);
+  return mergeSlots(found.map(({ tagid, sizes }) => ({ tagid: tagid.trim(), sizes })));
+}
+
+/**
+ * Remember the slots discovered on a page for later pageviews
+ * @param {URL} url - The canonical URL of the page
+ * @param {Array<Object>} slots - The discovered slots
+ * @returns {void}
+ */
+export function rememberPageSlots(url, slots) {
+  const key = url.toString();
+  const previous = learnedSlots.get(key)?.slots || [];
+  const changed = JSON.stringify(previous) !== JSON.stringify(slots);
+
+  // Keep the map bounded, dropping the oldest entry first. Pages without slots
+  // are remembered too, so they aren't scanned again until PAGE_SCAN_TTL.
+  learnedSlots.delete(key);
+  if (learnedSlots.size >= config.MAX_LEARNED_SLOT_PAGES) {
+    learnedSlots.delete(learnedSlots.keys().next().value);
+  }
+  learnedSlots.set(key, { slots, scannedAt: Date.now() });
+  if (!changed) {
+    return;
+  }
+  log.info(`[SLOTS] Discovered ${slots.length} ad slots on ${loggableUrl(key)}: ${slots.map(slot => slot.tagid).join(', ')}`);
+}
+
+/**
+ * Parse AD_SLOTS into compiled path patterns and normalized slots
+ * @param {Object} env - Environment variables and bindings
+ * @returns {Array<Object>} - `{ pattern, slots }` in configuration order
+ */
+function getSlotConfig(env) {
+  const source = env.AD_SLOTS;
+  if (parsedSlotConfigs.has(source)) {
+    return parsedSlotConfigs.get(source);
+  }
+
+  let entries = [];
+  if (source) {
+    try {
+      const slotConfig = typeof source === 'string' ? JSON.parse(source) : source;
+      entries = Object.entries(slotConfig).map(([glob, slots]) => ({
+        pattern: globToRegExp(glob),
+        slots: mergeSlots(slots
+          .filter(slot => slot && slot.tagid)
+          .map(slot => ({ tagid: String(slot.tagid), sizes: parseSizes(slot.sizes) })))
+      }));
+    } catch (error) {
+      log.error(`[SLOTS] Invalid AD_SLOTS, ignoring: ${error.message}`);
+    }
+  }
+
+  if (parsedSlotConfigs.size >= config.MAX_SITE_CONFIGS) {
+    parsedSlotConfigs.delete(parsedSlotConfigs.keys().next().value);
+  }
+  parsedSlotConfigs.set(source, entries);
+  return entries;
+}
+
+/**
+ * Combine slots with the same tagid and cap the number of slots
+ * @param {Array<Object>} slots - The slots
+ * @returns {Array<Object>} - The merged slots
+ */
+function mergeSlots(slots) {
+  const byTagid = new Map();
+  for (const slot of slots) {
+    const existing = byTagid.get(slot.tagid);
+    if (existing) {
+      for (const size of slot.sizes) {
+        if (!existing.sizes.some(([w, h]) => w === size[0] && h === size[1])) {
+          existing.sizes.push(size);
+        }
+      }
+    } else if (byTagid.size < config.MAX_AD_SLOTS) {
+      byTagid.set(slot.tagid, { tagid: slot.tagid, sizes: [...slot.sizes] });
+    }
+  }
+  return [...byTagid.values()];
+}
+
+/**
+ * Parse slot sizes from any of the forms they are written in
+ * @param {string|Array} sizes - `[[300, 250], [728, 90]]`, `[300, 250]`, `["300x250"]`, "300x250,728x90" or GPT source text
+ * @returns {Array<Array<number>>} - `[w, h]` pairs ('fluid' and other named sizes are skipped)
+ */
+function parseSizes(sizes) {
+  const text = typeof sizes === 'string' ? sizes : JSON.stringify(sizes || []);
+  return [...text.matchAll(/(\d+)\s*[x,]\s*(\d+)/gi)].map(match => [parseInt(match[1], 10), parseInt(match[2], 10)]);
+}
@@ -0,0 +1,126 @@
+/**
+ * Scope3 Segments Worker Keyword Dictionary
+ *
+ * Keywords for the tier-1 categories of the IAB Content Taxonomy 1.0, used by
+ * the fallback classifier (see classifier.js). Keywords are lowercase words or
+ * phrases matched as whole words, so list the plural forms that matter.
+ */
+
+export const IAB_CATEGORIES = [
+  {
+    id: 'IAB1', name: 'Arts & Entertainment',
+    keywords: ['entertainment', 'movie', 'movies', 'film', 'films', 'cinema', 'television', 'tv', 'music', 'album',
+      'concert', 'celebrity', 'celebrities', 'art', 'arts', 'museum', 'theater', 'theatre', 'books', 'novel', 'streaming']
+  },
+  {
+    id: 'IAB2', name: 'Automotive',
+    keywords: ['automotive', 'car', 'cars', 'vehicle', 'vehicles', 'suv', 'truck', 'trucks', 'motorcycle', 'sedan',
+      'electric vehicle', 'ev', 'dealership', 'horsepower', 'test drive', 'autos']
+  },
+  {
+    id: 'IAB3', name: 'Business',
+    keywords: ['business', 'company', 'companies', 'corporate', 'industry', 'startup', 'startups', 'ceo', 'earnings',
+      'revenue', 'merger', 'acquisition', 'marketing', 'economy', 'economic', 'markets', 'trade']
+  },
+  {
+    id: 'IAB4', name: 'Careers',
+    keywords: ['careers', 'career', 'jobs', 'job', 'hiring', 'resume', 'interview', 'salary', 'salaries', 'employment',
+      'recruiting', 'internship', 'job search']
+  },
+  {
+    id: 'IAB5', name: 'Education',
+    keywords: ['education', 'school', 'schools', 'university', 'universities', 'college', 'student', 'students',
+      'teacher', 'teachers', 'courses', 'course', 'degree', 'learning', 'exam', 'homework']
+  },
+  {
+    id: 'IAB6', name: 'Family & Parenting',
+    keywords: ['parenting', 'parents', 'parent', 'family', 'families', 'baby', 'babies', 'toddler', 'kids', 'children',
+      'pregnancy', 'mom', 'dad']
+  },
+  {
+    id: 'IAB7', name: 'Health & Fitness',
+    keywords: ['health', 'fitness', 'workout', 'exercise', 'diet', 'nutrition', 'wellness', 'medical', 'medicine',
+      'doctor', 'disease', 'symptoms', 'treatment', 'mental health', 'yoga', 'weight loss']
+  },
+  {
+    id: 'IAB8', name: 'Food & Drink',
+    keywords: ['food', 'recipe', 'recipes', 'cooking', 'restaurant', 'restaurants', 'dinner', 'baking', 'wine', 'beer',
+      'cocktail', 'cocktails', 'coffee', 'vegetarian', 'vegan', 'chef']
+  },
+  {
+    id: 'IAB9', name: 'Hobbies & Interests',
+    keywords: ['hobbies', 'hobby', 'crafts', 'diy', 'photography', 'gaming', 'video games', 'board games', 'knitting',
+      'collecting', 'fishing', 'hiking', 'camping', 'chess']
+  },
+  {
+    id: 'IAB10', name: 'Home & Garden',
+    keywords: ['garden', 'gardening', 'interior design', 'decor', 'furniture', 'kitchen', 'renovation',
+      'remodeling', 'plants', 'appliances', 'landscaping']
+  },
+  {
+    id: 'IAB11', name: "Law, Gov't & Politics",
+    keywords: ['politics', 'political', 'government', 'election', 'elections', 'senate', 'congress', 'parliament',
+      'president', 'law', 'legal', 'court', 'supreme court', 'policy', 'legislation', 'immigration']
+  },
+  {
+    id: 'IAB12', name: 'News',
+    keywords: ['news', 'breaking', 'breaking news', 'headlines', 'latest news', 'world news', 'local news', 'report',
+      'reports']
+  },
+  {
+    id: 'IAB13', name: 'Personal Finance',
+    keywords: ['finance', 'personal finance', 'money', 'investing', 'investment', 'stocks', 'retirement', 'mortgage',
+      'mortgages', 'credit card', 'credit cards', 'loans', 'savings', 'taxes', 'budget', 'insurance', 'interest rates']
+  },
+  {
+    id: 'IAB14', name: 'Society',
+    keywords: ['society', 'dating', 'relationships', 'wedding', 'weddings', 'marriage', 'community', 'culture',
+      'social issues', 'lgbt', 'seniors', 'teens']
+  },
+  {
+    id: 'IAB15', name: 'Science',
+    keywords: ['science', 'scientific', 'scientists', 'research', 'physics', 'chemistry', 'biology', 'astronomy', 'space',
+      'nasa', 'climate', 'climate change', 'environment', 'geology', 'weather']
+  },
+  {
+    id: 'IAB16', name: 'Pets',
+    keywords: ['pets', 'pet', 'dog', 'dogs', 'puppy', 'cat', 'cats', 'kitten', 'veterinarian', 'vet', 'aquarium',
+      'birds', 'horses']
+  },
+  {
+    id: 'IAB17', name: 'Sports',
+    keywords: ['sports', 'sport', 'football', 'soccer', 'basketball', 'baseball', 'hockey', 'tennis', 'golf', 'nfl',
+      'nba', 'mlb', 'nhl', 'olympics', 'cricket', 'rugby', 'boxing', 'league', 'playoffs', 'championship', 'tournament']
+  },
+  {
+    id: 'IAB18', name: 'Style & Fashion',
+    keywords: ['fashion', 'style', 'beauty', 'makeup', 'skincare', 'clothing', 'dresses', 'shoes', 'jewelry',
+      'accessories', 'hair', 'outfits']
+  },
+  {
+    id: 'IAB19', name: 'Technology & Computing',
+    keywords: ['technology', 'tech', 'software', 'hardware', 'computer', 'computers', 'laptop', 'smartphone',
+      'smartphones', 'iphone', 'android', 'app', 'apps', 'internet', 'programming', 'ai', 'artificial intelligence',
+      'cybersecurity', 'gadgets']
+  },
+  {
+    id: 'IAB20', name: 'Travel',
+    keywords: ['travel', 'vacation', 'vacations', 'holiday', 'holidays', 'hotel', 'hotels', 'flight', 'flights',
+      'airline', 'airlines', 'destination', 'destinations', 'tourism', 'cruise', 'beach', 'trip']
+  },
+  {
+    id: 'IAB21', name: 'Real Estate',
+    keywords: ['real estate', 'homes for sale', 'apartment', 'apartments', 'rent', 'rental', 'realtor', 'property',
+      'properties', 'housing', 'home buying', 'condo']
+  },
+  {
+    id: 'IAB22', name: 'Shopping',
+    keywords: ['shopping', 'shop', 'deals', 'deal', 'coupons', 'coupon', 'sale', 'discount', 'discounts', 'gift guide',
+      'gifts', 'black friday', 'best buys', 'reviews']
+  },
+  {
+    id: 'IAB23', name: 'Religion & Spirituality',
+    keywords: ['religion', 'religious', 'spirituality', 'spiritual', 'church', 'faith', 'prayer', 'bible', 'christianity',
+      'islam', 'judaism', 'buddhism', 'hinduism', 'meditation']
+  }
+];